@@ -0,0 +1,2450 @@
+/**
+ * Extractor runtime - installs the archive embedded in a self-extracting package.
+ * Bundled by pkg behind a small stub that passes in the package settings:
+ *
+ *   require("./runtime").run(require("./extractor-settings.json"));
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const readline = require("readline");
+const { spawn, spawnSync } = require("child_process");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const yauzl = require("yauzl");
+const semver = require("semver");
+const {
+  PAYLOAD_MAGIC,
+  PAYLOAD_TRAILER_SIZE,
+  METADATA_DIR,
+  MANIFEST_ENTRY,
+  getUnsafeEntryReason,
+} = require("./shared");
+
+// The progress bar is optional, plain progress lines work without it
+let cliProgress;
+try {
+  cliProgress = require("cli-progress");
+} catch (error) {
+  cliProgress = null;
+}
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Package settings, set by configure() before anything else runs
+let PACKAGE_NAME;
+let PACKAGE_VERSION;
+let PACKAGE_ID;
+let INSTALL_NAME;
+// Legacy sidecar archive name, used when no payload is embedded
+let archiveFileName;
+// Game to look for when choosing a default install location (null when not configured)
+let GAME;
+// Ordered ways of choosing the install folder, and the variable the "env" provider reads
+let DIRECTORY_PROVIDERS;
+let DIRECTORY_ENV_VAR;
+// Package-specific text and the optional action offered after installing
+let INSTALLER;
+// Packages that must already be installed: { name, range, file }
+let REQUIRES;
+
+function configure(settings) {
+  PACKAGE_NAME = settings.appName;
+  PACKAGE_VERSION = settings.version;
+  PACKAGE_ID = settings.packageId;
+  INSTALL_NAME = settings.installName;
+  archiveFileName = settings.archiveFileName;
+  GAME = settings.game || null;
+  DIRECTORY_PROVIDERS = settings.directory.providers;
+  DIRECTORY_ENV_VAR = settings.directory.envVar;
+  INSTALLER = settings.installer;
+  REQUIRES = settings.requires || [];
+}
+
+// Process exit codes, stable so scripts and launchers can rely on them
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  VERIFICATION_FAILED: 3,
+  CANCELLED: 4,
+  INVALID_ARGS: 5,
+  BASE_MISMATCH: 6,
+  DOWNGRADE_BLOCKED: 7,
+  REQUIREMENTS_NOT_MET: 8,
+};
+
+// --overwrite modes, each replacing the package's conflict policy for every file
+const OVERWRITE_MODES = {
+  always: "overwrite",
+  never: "skip",
+  newer: "keep-newer",
+};
+
+function showMessage(message) {
+  console.log("\n" + "=".repeat(50));
+  console.log(message);
+  console.log("=".repeat(50));
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return "0 Bytes";
+  const k = 1024;
+  const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+}
+
+// Returned by a provider when the user backs out, so no later provider asks again
+const SELECTION_CANCELLED = "cancelled";
+
+// Providers that never ask the user, so they can run with --silent
+const SILENT_PROVIDERS = ["cli", "env", "game"];
+
+/**
+ * Each provider gets a context and returns a folder, null to let the next
+ * provider try, or SELECTION_CANCELLED.
+ */
+const directoryProviders = {
+  cli: (context) => context.args.target || null,
+
+  env: (context) => {
+    const value = context.envVar && context.env[context.envVar];
+    return value ? expandPath(value) : null;
+  },
+
+  game: (context) => context.detectGame(),
+
+  dialog: (context) => {
+    if (context.platform === "win32") return showWindowsFolderDialog(context);
+    if (context.platform === "darwin") return showMacFolderDialog(context);
+    return showLinuxFolderDialog(context);
+  },
+
+  prompt: (context) => promptForDirectory(context),
+};
+
+function createProviderContext() {
+  let defaultPath;
+  return {
+    args: cliArgs,
+    env: process.env,
+    envVar: DIRECTORY_ENV_VAR,
+    platform: process.platform,
+    title: `Select the folder to install ${PACKAGE_NAME} into`,
+    detectGame: () => detectGamePath(GAME),
+    // Only worked out when a provider needs it, as it searches the disk
+    getDefaultPath: () => defaultPath || (defaultPath = getSmartDefaultPath()),
+    run: (command, args) => spawnSync(command, args, { encoding: "utf8" }),
+  };
+}
+
+async function selectTargetDir(providers, context) {
+  for (const name of providers) {
+    const result = await directoryProviders[name](context);
+    if (result === SELECTION_CANCELLED) {
+      return null;
+    }
+    if (result) {
+      console.log(`\n✅ Selected directory: ${result}`);
+      return path.resolve(result);
+    }
+  }
+  return null;
+}
+
+function validateInstallDir(dirPath) {
+  // The folder may not exist yet, but whatever part of it does must be usable
+  let existing = dirPath;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return `${dirPath} is not on an existing drive`;
+    existing = parent;
+  }
+
+  if (!fs.statSync(existing).isDirectory()) {
+    return `${existing} is a file, not a folder`;
+  }
+  try {
+    fs.accessSync(existing, fs.constants.W_OK);
+  } catch (error) {
+    return `You do not have permission to write to ${existing}`;
+  }
+  return null;
+}
+
+let terminal = null;
+
+// One readline for the whole run, so answers typed or piped in ahead are never dropped
+function getTerminal() {
+  if (!terminal) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    terminal = { rl, lines: rl[Symbol.asyncIterator]() };
+  }
+  return terminal;
+}
+
+// Resolves to the typed line, or null once stdin is closed (Ctrl+D, Ctrl+Z or no terminal)
+async function ask(question) {
+  const { rl, lines } = getTerminal();
+  rl.setPrompt(question);
+  rl.prompt();
+  const { value, done } = await lines.next();
+  return done ? null : value;
+}
+
+async function confirm(question, defaultAnswer) {
+  for (;;) {
+    const answer = await ask(
+      `${question} ${defaultAnswer ? "[Y/n]" : "[y/N]"} `
+    );
+    if (answer === null) return false;
+    const typed = answer.trim().toLowerCase();
+    if (!typed) return defaultAnswer;
+    if (["y", "yes"].includes(typed)) return true;
+    if (["n", "no"].includes(typed)) return false;
+  }
+}
+
+function printTargetHints() {
+  if (INSTALLER.targetHints.length === 0) return;
+  console.log("\n💡 Where to install:");
+  INSTALLER.targetHints.forEach((hint) => console.log("   " + hint));
+}
+
+async function promptForDirectory(context) {
+  const defaultPath = context.getDefaultPath();
+
+  printTargetHints();
+  console.log("\nEnter the full path of the folder to install into.");
+  console.log("Press Enter to use the default shown in brackets.");
+
+  for (;;) {
+    const answer = await ask(`\n📂 Install folder [${defaultPath}]: `);
+    if (answer === null) {
+      return SELECTION_CANCELLED;
+    }
+
+    // Terminals quote dropped folders, and ~ is not expanded without a shell
+    const typed = answer.trim().replace(/^(['"])(.*)\1$/, "$2");
+    const selected = path.resolve(typed ? expandPath(typed) : defaultPath);
+    const problem = validateInstallDir(selected);
+    if (!problem) {
+      return selected;
+    }
+    console.log(`❌ ${problem}. Please choose another folder.`);
+  }
+}
+
+function showLinuxFolderDialog(context) {
+  if (!context.env.DISPLAY && !context.env.WAYLAND_DISPLAY) {
+    return null;
+  }
+
+  const defaultPath = context.getDefaultPath();
+  const dialogs = [
+    [
+      "zenity",
+      [
+        "--file-selection",
+        "--directory",
+        `--title=${context.title}`,
+        `--filename=${defaultPath}${path.sep}`,
+      ],
+    ],
+    [
+      "kdialog",
+      ["--getexistingdirectory", defaultPath, "--title", context.title],
+    ],
+  ];
+
+  for (const [command, args] of dialogs) {
+    console.log(`\n🖱️  Opening folder selection dialog (${command})...`);
+    const result = context.run(command, args);
+    if (result.error) {
+      // Not installed, try the next one
+      continue;
+    }
+    // Both exit with 1 when the user cancels
+    if (result.status === 1) {
+      return SELECTION_CANCELLED;
+    }
+    const selected = (result.stdout || "").trim();
+    return result.status === 0 && selected ? selected : null;
+  }
+
+  return null;
+}
+
+function showMacFolderDialog(context) {
+  const script = `POSIX path of (choose folder with prompt ${JSON.stringify(
+    context.title
+  )} default location POSIX file ${JSON.stringify(context.getDefaultPath())})`;
+
+  console.log("\n🖱️  Opening folder selection dialog...");
+  const result = context.run("osascript", ["-e", script]);
+  if (result.error) {
+    return null;
+  }
+  // AppleScript reports "User canceled" as error -128
+  if (result.status !== 0) {
+    return /-128/.test(result.stderr || "") ? SELECTION_CANCELLED : null;
+  }
+  return (result.stdout || "").trim() || null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function toScriptString(value) {
+  // A JSON string is a valid JScript literal; hide "</script>" from the HTML parser
+  return JSON.stringify(String(value)).replace(/</g, "\\u003c");
+}
+
+function showWindowsFolderDialog(context) {
+  // An HTML Application run by mshta: a path box with the default filled in,
+  // a Browse button for the shell folder picker, and OK / Cancel
+  const stamp = `${process.pid}-${Date.now()}`;
+  const htaFile = path.join(os.tmpdir(), `folder-dialog-${stamp}.hta`);
+  const resultFile = path.join(os.tmpdir(), `folder-result-${stamp}.txt`);
+
+  const hta = `<!DOCTYPE html>
+<html>
+<head>
+<meta http-equiv="x-ua-compatible" content="ie=9">
+<title>${escapeHtml(PACKAGE_NAME)}</title>
+<hta:application applicationname="${escapeHtml(
+    INSTALL_NAME
+  )}" border="dialog" maximizebutton="no" minimizebutton="no" scroll="no" singleinstance="yes" />
+<style>
+  body { font-family: "Segoe UI", Arial, sans-serif; font-size: 13px; margin: 18px; background: #f3f3f3; }
+  h1 { font-size: 16px; margin: 0 0 12px; }
+  ul { margin: 0 0 12px; padding-left: 18px; color: #444; }
+  input { width: 100%; padding: 6px; font-size: 13px; box-sizing: border-box; }
+  .buttons { margin-top: 16px; text-align: right; }
+  button { min-width: 88px; padding: 5px 12px; margin-left: 6px; }
+  .error { color: #b00020; height: 18px; margin-top: 6px; }
+</style>
+<script language="JScript">
+  var resultFile = ${toScriptString(resultFile)};
+  var defaultPath = ${toScriptString(context.getDefaultPath())};
+  
+  function finish(value) {
+    var fso = new ActiveXObject('Scripting.FileSystemObject');
+    var file = fso.CreateTextFile(resultFile, true, true);
+    file.Write(value);
+    file.Close();
+    window.close();
+  }
+  
+  function browse() {
+    var folder = new ActiveXObject('Shell.Application').BrowseForFolder(0, ${toScriptString(
+      context.title
+    )}, 0x51, 0);
+    if (folder) {
+      document.getElementById('path').value = folder.Self.Path;
+    }
+  }
+  
+  function accept() {
+    var value = document.getElementById('path').value;
+    if (!value) {
+      document.getElementById('error').innerText = 'Please choose a folder.';
+      return;
+    }
+    finish('OK:' + value);
+  }
+  
+  window.onload = function () {
+    window.resizeTo(620, 250 + 20 * ${INSTALLER.targetHints.length});
+    document.getElementById('path').value = defaultPath;
+  };
+  
+  document.onkeydown = function () {
+    if (window.event.keyCode === 13) accept();
+    if (window.event.keyCode === 27) finish('');
+  };
+</script>
+</head>
+<body>
+  <h1>${escapeHtml(context.title)}</h1>
+  ${
+    INSTALLER.targetHints.length
+      ? `<ul>${INSTALLER.targetHints
+          .map((hint) => `<li>${escapeHtml(hint)}</li>`)
+          .join("")}</ul>`
+      : ""
+  }
+  <input id="path" type="text">
+  <div id="error" class="error"></div>
+  <div class="buttons">
+    <button onclick="browse()">Browse...</button>
+    <button onclick="accept()">OK</button>
+    <button onclick="finish('')">Cancel</button>
+  </div>
+</body>
+</html>
+`;
+
+  try {
+    fs.writeFileSync(htaFile, hta);
+    console.log("\n🖱️  Opening folder selection dialog...");
+    const result = context.run("mshta.exe", [htaFile]);
+    if (result.error) {
+      return null;
+    }
+
+    // No result file means the window was closed, which is the same as Cancel
+    if (!fs.existsSync(resultFile)) {
+      return SELECTION_CANCELLED;
+    }
+    const value = fs.readFileSync(resultFile, "utf16le").replace(/^\uFEFF/, "");
+    return value.startsWith("OK:") ? value.slice(3) : SELECTION_CANCELLED;
+  } catch (error) {
+    console.log(`\n⚠️  Folder dialog failed: ${error.message}`);
+    return null;
+  } finally {
+    fs.rmSync(htaFile, { force: true });
+    fs.rmSync(resultFile, { force: true });
+  }
+}
+
+function getSmartDefaultPath() {
+  // The real game folder beats any guess
+  const gamePath = detectGamePath(GAME);
+  if (gamePath) {
+    console.log(`\n🎮 Using detected game folder: ${gamePath}`);
+    return gamePath;
+  }
+
+  // Smart path detection - try to find common game directories
+  const home = os.homedir();
+  let possiblePaths;
+  if (process.platform === "win32") {
+    possiblePaths = [
+      path.join(home, "Desktop"),
+      "C:\\Program Files (x86)\\Steam\\steamapps\\common",
+      "C:\\Program Files\\Steam\\steamapps\\common",
+      "C:\\Program Files (x86)\\Epic Games",
+      "C:\\Program Files\\Epic Games",
+      "C:\\Games",
+      path.join(home, "Documents", "My Games"),
+    ];
+  } else if (process.platform === "darwin") {
+    possiblePaths = [
+      path.join(
+        home,
+        "Library",
+        "Application Support",
+        "Steam",
+        "steamapps",
+        "common"
+      ),
+      path.join(home, "Games"),
+    ];
+  } else {
+    possiblePaths = [
+      path.join(home, ".steam", "steam", "steamapps", "common"),
+      path.join(home, ".local", "share", "Steam", "steamapps", "common"),
+      path.join(home, "Games"),
+    ];
+  }
+
+  for (const testPath of possiblePaths) {
+    if (fs.existsSync(testPath)) {
+      console.log(`\n📂 Using smart default: ${testPath}`);
+      return testPath;
+    }
+  }
+
+  // Ultimate fallback
+  const defaultDir =
+    process.platform === "win32" ? path.join(home, "Desktop") : home;
+  console.log(`\n📂 Using fallback default: ${defaultDir}`);
+  return defaultDir;
+}
+
+function expandPath(inputPath) {
+  // Allow ~ and %VAR% in configured roots
+  return inputPath
+    .replace(/^~(?=$|[\\/])/, os.homedir())
+    .replace(/%([^%]+)%/g, (match, name) => process.env[name] || match);
+}
+
+function getDefaultSearchRoots() {
+  const home = os.homedir();
+  const programFilesX86 =
+    process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)";
+  const programFiles = process.env.ProgramFiles || "C:\\Program Files";
+  const programData = process.env.ProgramData || "C:\\ProgramData";
+
+  let steamRoots;
+  let epicManifestDirs;
+  if (process.platform === "win32") {
+    steamRoots = [
+      path.join(programFilesX86, "Steam"),
+      path.join(programFiles, "Steam"),
+    ];
+    epicManifestDirs = [
+      path.join(programData, "Epic", "EpicGamesLauncher", "Data", "Manifests"),
+    ];
+  } else if (process.platform === "darwin") {
+    steamRoots = [path.join(home, "Library", "Application Support", "Steam")];
+    epicManifestDirs = [
+      path.join(
+        home,
+        "Library",
+        "Application Support",
+        "Epic",
+        "EpicGamesLauncher",
+        "Data",
+        "Manifests"
+      ),
+    ];
+  } else {
+    steamRoots = [
+      path.join(home, ".steam", "steam"),
+      path.join(home, ".local", "share", "Steam"),
+      path.join(
+        home,
+        ".var",
+        "app",
+        "com.valvesoftware.Steam",
+        ".local",
+        "share",
+        "Steam"
+      ),
+    ];
+    epicManifestDirs = [];
+  }
+
+  const customRoots = ((GAME && GAME.customRoots) || []).map(expandPath);
+  return { steamRoots, epicManifestDirs, customRoots };
+}
+
+function parseVdf(text) {
+  // Valve KeyValues as used by libraryfolders.vdf and appmanifest_*.acf:
+  // "key" "value" pairs and "key" { ... } blocks, with // comments
+  const root = {};
+  const stack = [root];
+  let pendingKey = null;
+  let i = 0;
+
+  const readString = () => {
+    let value = "";
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === "\\" && i + 1 < text.length) {
+        i++;
+        value += text[i] === "n" ? "\n" : text[i] === "t" ? "\t" : text[i];
+      } else {
+        value += text[i];
+      }
+      i++;
+    }
+    i++;
+    return value;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') {
+      const token = readString();
+      if (pendingKey === null) {
+        pendingKey = token;
+      } else {
+        stack[stack.length - 1][pendingKey] = token;
+        pendingKey = null;
+      }
+    } else if (char === "{") {
+      const block = {};
+      if (pendingKey !== null) {
+        stack[stack.length - 1][pendingKey] = block;
+        pendingKey = null;
+      }
+      stack.push(block);
+      i++;
+    } else if (char === "}") {
+      if (stack.length > 1) stack.pop();
+      i++;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else {
+      i++;
+    }
+  }
+
+  return root;
+}
+
+function getKey(object, name) {
+  // KeyValues keys are case-insensitive
+  if (!object || typeof object !== "object") return undefined;
+  const key = Object.keys(object).find(
+    (candidate) => candidate.toLowerCase() === name.toLowerCase()
+  );
+  return key === undefined ? undefined : object[key];
+}
+
+function isGameDir(dirPath, game) {
+  if (
+    !dirPath ||
+    !fs.existsSync(dirPath) ||
+    !fs.statSync(dirPath).isDirectory()
+  ) {
+    return false;
+  }
+  return !game.markerFile || fs.existsSync(path.join(dirPath, game.markerFile));
+}
+
+function matchesGame(game, folderName, displayName) {
+  // Without a folder name or display name, the marker file decides on its own
+  if (!game.folderName && !game.name) return true;
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  return same(folderName, game.folderName) || same(displayName, game.name);
+}
+
+function findSteamLibraries(steamRoot) {
+  const libraries = [steamRoot];
+  const vdfPath = path.join(steamRoot, "steamapps", "libraryfolders.vdf");
+  if (!fs.existsSync(vdfPath)) {
+    return libraries;
+  }
+
+  const folders =
+    getKey(parseVdf(fs.readFileSync(vdfPath, "utf8")), "libraryfolders") || {};
+  Object.keys(folders).forEach((key) => {
+    if (!/^\d+$/.test(key)) return;
+
+    // Older clients store the path directly, newer ones in a "path" field
+    const value = folders[key];
+    const libraryPath =
+      typeof value === "string" ? value : getKey(value, "path");
+    if (libraryPath && !libraries.includes(libraryPath)) {
+      libraries.push(libraryPath);
+    }
+  });
+
+  return libraries;
+}
+
+function findSteamGame(game, steamRoots) {
+  for (const steamRoot of steamRoots) {
+    for (const library of findSteamLibraries(steamRoot)) {
+      const steamapps = path.join(library, "steamapps");
+      if (!fs.existsSync(steamapps)) continue;
+
+      const manifests = game.steamAppId
+        ? [`appmanifest_${game.steamAppId}.acf`]
+        : fs
+            .readdirSync(steamapps)
+            .filter((name) => /^appmanifest_\d+\.acf$/.test(name));
+
+      for (const manifestName of manifests) {
+        const manifestPath = path.join(steamapps, manifestName);
+        if (!fs.existsSync(manifestPath)) continue;
+
+        const appState = getKey(
+          parseVdf(fs.readFileSync(manifestPath, "utf8")),
+          "AppState"
+        );
+        const installDir = getKey(appState, "installdir");
+        if (!installDir) continue;
+        if (
+          !game.steamAppId &&
+          !matchesGame(game, installDir, getKey(appState, "name"))
+        )
+          continue;
+
+        const gameDir = path.join(steamapps, "common", installDir);
+        if (isGameDir(gameDir, game)) return gameDir;
+      }
+
+      if (game.folderName) {
+        const gameDir = path.join(steamapps, "common", game.folderName);
+        if (isGameDir(gameDir, game)) return gameDir;
+      }
+    }
+  }
+  return null;
+}
+
+function findEpicGame(game, manifestDirs) {
+  for (const manifestDir of manifestDirs) {
+    if (!fs.existsSync(manifestDir)) continue;
+
+    const items = fs
+      .readdirSync(manifestDir)
+      .filter((name) => name.toLowerCase().endsWith(".item"));
+    for (const itemName of items) {
+      let item;
+      try {
+        item = JSON.parse(
+          fs.readFileSync(path.join(manifestDir, itemName), "utf8")
+        );
+      } catch (error) {
+        continue;
+      }
+
+      const location = item.InstallLocation;
+      if (!location) continue;
+
+      const folderName = location.split(/[\\/]/).filter(Boolean).pop();
+      if (
+        matchesGame(game, folderName, item.DisplayName) &&
+        isGameDir(location, game)
+      ) {
+        return location;
+      }
+    }
+  }
+  return null;
+}
+
+function findCustomRootGame(game, roots) {
+  for (const root of roots) {
+    if (!fs.existsSync(root)) continue;
+
+    if (game.markerFile && isGameDir(root, game)) return root;
+
+    if (game.folderName) {
+      const gameDir = path.join(root, game.folderName);
+      if (isGameDir(gameDir, game)) return gameDir;
+    }
+
+    // A marker file lets us find the game one level below the root
+    if (game.markerFile) {
+      const subDirs = fs
+        .readdirSync(root, { withFileTypes: true })
+        .filter((item) => item.isDirectory());
+      for (const subDir of subDirs) {
+        const gameDir = path.join(root, subDir.name);
+        if (isGameDir(gameDir, game)) return gameDir;
+      }
+    }
+  }
+  return null;
+}
+
+function detectGamePath(game, roots = getDefaultSearchRoots()) {
+  if (!game) {
+    return null;
+  }
+
+  try {
+    const gameDir =
+      findSteamGame(game, roots.steamRoots) ||
+      findEpicGame(game, roots.epicManifestDirs) ||
+      findCustomRootGame(game, roots.customRoots);
+    return gameDir ? path.join(gameDir, game.subpath || "") : null;
+  } catch (error) {
+    console.log(`\n⚠️  Game detection failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Authenticode signing appends a certificate table after everything else,
+// padded to 8 bytes, and records where it starts in the PE security directory
+function findCertificateTable(fd, size) {
+  const readAt = (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead =
+      position + length <= size
+        ? fs.readSync(fd, buffer, 0, length, position)
+        : 0;
+    return bytesRead === length ? buffer : null;
+  };
+
+  const dosHeader = readAt(0, 64);
+  if (!dosHeader || dosHeader.toString("ascii", 0, 2) !== "MZ") return null;
+  const peOffset = dosHeader.readUInt32LE(0x3c);
+  const peHeader = readAt(peOffset, 24 + 2);
+  if (!peHeader || peHeader.toString("binary", 0, 4) !== "PE\0\0") return null;
+
+  // PE32 and PE32+ optional headers differ in where the data directories start
+  const optionalHeader = peOffset + 24;
+  const magic = peHeader.readUInt16LE(24);
+  const directories =
+    magic === 0x20b
+      ? optionalHeader + 112
+      : magic === 0x10b
+      ? optionalHeader + 96
+      : 0;
+  if (!directories) return null;
+  const count = readAt(directories - 4, 4);
+  if (!count || count.readUInt32LE(0) <= 4) return null;
+
+  const security = readAt(directories + 4 * 8, 8);
+  if (!security) return null;
+  const offset = security.readUInt32LE(0);
+  const length = security.readUInt32LE(4);
+  if (offset === 0 || length === 0 || offset + length > size) return null;
+  return { offset, length };
+}
+
+function findEmbeddedPayload(executablePath) {
+  // The packer appends the ZIP followed by a trailer: magic, offset, length.
+  // Signing may add a certificate table and up to 7 bytes of padding after it.
+  let fd;
+  try {
+    fd = fs.openSync(executablePath, "r");
+    const size = fs.fstatSync(fd).size;
+    const candidates = [size - PAYLOAD_TRAILER_SIZE];
+    const certificates = findCertificateTable(fd, size);
+    if (certificates) {
+      for (let padding = 0; padding < 8; padding++) {
+        candidates.push(certificates.offset - PAYLOAD_TRAILER_SIZE - padding);
+      }
+    }
+
+    const trailer = Buffer.alloc(PAYLOAD_TRAILER_SIZE);
+    const trailerOffset = candidates.find(
+      (position) =>
+        position >= 0 &&
+        fs.readSync(fd, trailer, 0, PAYLOAD_TRAILER_SIZE, position) ===
+          PAYLOAD_TRAILER_SIZE &&
+        trailer.toString("ascii", 0, 8) === PAYLOAD_MAGIC
+    );
+    if (trailerOffset === undefined) return null;
+
+    const offset = Number(trailer.readBigUInt64LE(8));
+    const length = Number(trailer.readBigUInt64LE(16));
+    if (offset + length > trailerOffset) {
+      throw new Error(
+        "Embedded archive is truncated or corrupt. Please download the installer again."
+      );
+    }
+
+    return { path: executablePath, offset, length };
+  } catch (error) {
+    if (error.code) return null;
+    throw error;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function findSidecarArchive() {
+  // Legacy fallback: older packages shipped the archive next to the executable
+  const executableDir = path.dirname(process.execPath);
+  const archivePath = path.join(executableDir, archiveFileName);
+
+  console.log(`\n📦 No embedded archive, looking for: ${archivePath}`);
+  if (fs.existsSync(archivePath)) {
+    return archivePath;
+  }
+
+  // If not found in executable directory, try current working directory
+  const cwdArchivePath = path.join(process.cwd(), archiveFileName);
+  console.log(`\n📦 Trying current directory: ${cwdArchivePath}`);
+  if (fs.existsSync(cwdArchivePath)) {
+    console.log(`\n✅ Found archive in current directory`);
+    return cwdArchivePath;
+  }
+
+  // Try to find any archive file with similar name
+  const possibleNames = [
+    archiveFileName.replace("_archive.zip", ".zip"),
+    archiveFileName.replace("_archive.zip", "_files.zip"),
+    "files.zip",
+    "archive.zip",
+  ];
+
+  for (const name of possibleNames) {
+    const testPath = path.join(executableDir, name);
+    if (fs.existsSync(testPath)) {
+      console.log(`\n✅ Found archive: ${name}`);
+      return testPath;
+    }
+  }
+
+  throw new Error(
+    `Archive not found. This installer has no embedded archive and no ${archiveFileName} was found next to it.\n\nPlease download the installer again.`
+  );
+}
+
+function locateArchive() {
+  // Prefer the payload embedded in this executable, then a legacy sidecar archive
+  const payload = findEmbeddedPayload(process.execPath);
+  if (payload) {
+    console.log(`\n📦 Using embedded archive (${formatBytes(payload.length)})`);
+    return payload;
+  }
+
+  const archivePath = findSidecarArchive();
+  return {
+    path: archivePath,
+    offset: 0,
+    length: fs.statSync(archivePath).size,
+  };
+}
+
+function createArchiveReader(source) {
+  // Serve yauzl's reads straight from the installer, shifted to where the ZIP starts
+  const fd = fs.openSync(source.path, "r");
+  const reader = new yauzl.RandomAccessReader();
+  reader._readStreamForRange = (start, end) => {
+    // Positioned reads on the shared descriptor; yauzl may have several ranges open
+    let position = source.offset + start;
+    const stop = source.offset + end;
+    return new Readable({
+      read(size) {
+        const length = Math.min(size, stop - position);
+        if (length <= 0) {
+          this.push(null);
+          return;
+        }
+        fs.read(
+          fd,
+          Buffer.alloc(length),
+          0,
+          length,
+          position,
+          (error, bytesRead, buffer) => {
+            if (error || bytesRead === 0) {
+              this.destroy(error || new Error("Unexpected end of archive"));
+              return;
+            }
+            position += bytesRead;
+            this.push(buffer.subarray(0, bytesRead));
+          }
+        );
+      },
+    });
+  };
+  reader.close = (callback) => fs.close(fd, callback);
+  return reader;
+}
+
+function openArchive(source) {
+  return new Promise((resolve, reject) => {
+    const reader = createArchiveReader(source);
+    const options = { lazyEntries: true, autoClose: false };
+    yauzl.fromRandomAccessReader(
+      reader,
+      source.length,
+      options,
+      (error, zipfile) => {
+        if (error) {
+          reader.close(() => reject(error));
+          return;
+        }
+        resolve(zipfile);
+      }
+    );
+  });
+}
+
+function readEntries(zipfile) {
+  // Only the central directory is read here, file data stays on disk
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on("entry", (entry) => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.once("end", () => resolve(entries));
+    zipfile.once("error", (error) => {
+      // yauzl refuses some unsafe names itself before we get to see them
+      if (
+        /^(absolute path|invalid relative path|invalid characters)/.test(
+          error.message
+        )
+      ) {
+        const unsafe = new Error(
+          "This package contains unsafe entries and was not installed:\n   Unsafe archive entry: " +
+            error.message
+        );
+        unsafe.unsafeArchive = true;
+        reject(unsafe);
+        return;
+      }
+      reject(error);
+    });
+    zipfile.readEntry();
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) =>
+      error ? reject(error) : resolve(stream)
+    );
+  });
+}
+
+async function readEntryText(zipfile, entry) {
+  const chunks = [];
+  for await (const chunk of await openEntryStream(zipfile, entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function getEntryModifiedTime(entry) {
+  // archiver writes DOS times from UTC fields, while yauzl's getLastModDate()
+  // reads them as local time, so decode them as UTC here
+  const date = entry.lastModFileDate;
+  const time = entry.lastModFileTime;
+  return new Date(
+    Date.UTC(
+      ((date >> 9) & 0x7f) + 1980,
+      ((date >> 5) & 0x0f) - 1,
+      date & 0x1f,
+      (time >> 11) & 0x1f,
+      (time >> 5) & 0x3f,
+      (time & 0x1f) * 2
+    )
+  );
+}
+
+async function writeEntryAtomically(
+  zipfile,
+  entry,
+  destPath,
+  onProgress,
+  keepTime = true
+) {
+  // Stream into a temporary file beside the destination and swap it in when complete,
+  // so an interrupted install never leaves a half-written file behind
+  const tempPath = `${destPath}.${process.pid}.partial`;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      onProgress(chunk.length);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(
+      await openEntryStream(zipfile, entry),
+      counter,
+      fs.createWriteStream(tempPath)
+    );
+    if (keepTime) {
+      const modified = getEntryModifiedTime(entry);
+      fs.utimesSync(tempPath, modified, modified);
+    }
+    fs.renameSync(tempPath, destPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function createProgress(totalBytes) {
+  // Per-file lines go through log() so they do not break the progress bar
+  if (
+    cliProgress &&
+    process.stdout.isTTY &&
+    !cliArgs.silent &&
+    totalBytes > 0
+  ) {
+    const multibar = new cliProgress.MultiBar({
+      format:
+        "📦 Installing |{bar}| {percentage}% | {written} / {size} | ETA: {eta}s",
+      barCompleteChar: "█",
+      barIncompleteChar: "░",
+      hideCursor: true,
+      clearOnComplete: false,
+    });
+    const bar = multibar.create(totalBytes, 0, {
+      written: formatBytes(0),
+      size: formatBytes(totalBytes),
+    });
+    let written = 0;
+    return {
+      log: (line) => multibar.log(line + "\n"),
+      advance: (bytes) => {
+        written += bytes;
+        bar.update(written, { written: formatBytes(written) });
+      },
+      stop: () => multibar.stop(),
+    };
+  }
+
+  // Plain output for logs and consoles without a bar: a line every 10%
+  let written = 0;
+  let reported = 0;
+  return {
+    log: (line) => console.log(line),
+    advance: (bytes) => {
+      written += bytes;
+      const percent = Math.floor((written / totalBytes) * 10) * 10;
+      if (totalBytes > 0 && percent > reported) {
+        reported = percent;
+        console.log(
+          `   ⏳ ${percent}% (${formatBytes(written)} of ${formatBytes(
+            totalBytes
+          )})`
+        );
+      }
+    },
+    stop: () => {},
+  };
+}
+
+function snapshotTarget(targetDir, files) {
+  // Capture the state of every path the package is about to write
+  const snapshot = new Map();
+
+  files.forEach((file) => {
+    const filePath = path.join(targetDir, file.path);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      snapshot.set(file.path, { exists: false, unchanged: false });
+      return;
+    }
+
+    // Only hash when the size matches, a different size is already a change
+    const size = fs.statSync(filePath).size;
+    const unchanged =
+      Boolean(file.sha256) &&
+      size === file.size &&
+      hashFile(filePath) === file.sha256;
+    snapshot.set(file.path, { exists: true, unchanged });
+  });
+
+  return snapshot;
+}
+
+function printSummary(summary) {
+  const listFiles = (files) =>
+    files.forEach((file) => console.log(`      ${file}`));
+
+  console.log("\n📊 Installation summary:");
+  console.log(`   ➕ Added:       ${summary.added.length} files`);
+  console.log(`   ✏️  Overwritten: ${summary.overwritten.length} files`);
+  listFiles(summary.overwritten);
+  if (summary.backedUp.length > 0) {
+    console.log(`   🗄️  Backed up:   ${summary.backedUp.length} files`);
+    listFiles(summary.backedUp);
+  }
+  if (summary.newCopies.length > 0) {
+    console.log(
+      `   🆕 Kept yours:  ${summary.newCopies.length} files (new version saved beside them)`
+    );
+    listFiles(summary.newCopies);
+  }
+  console.log(`   ✔️  Unchanged:   ${summary.unchanged.length} files`);
+  if (summary.skipped.length > 0) {
+    console.log(`   ⏭️  Skipped:     ${summary.skipped.length} files`);
+    listFiles(summary.skipped);
+  }
+  if (summary.deleted.length > 0) {
+    console.log(`   🗑️  Removed:     ${summary.deleted.length} files`);
+    listFiles(summary.deleted);
+  }
+  if (summary.failed.length > 0) {
+    console.log(`   ❌ Failed:      ${summary.failed.length} files`);
+  }
+  console.log(`   💾 Written:     ${formatBytes(summary.bytesWritten)}`);
+}
+
+function resolveEntryPath(targetDir, entryName) {
+  const reason = getUnsafeEntryReason(entryName);
+  if (reason) {
+    throw new Error(`Unsafe archive entry "${entryName}": ${reason}`);
+  }
+
+  // Belt and braces: the resolved path must stay inside the destination
+  const root = path.resolve(targetDir);
+  const fullPath = path.resolve(root, entryName);
+  const relative = path.relative(root, fullPath);
+  if (
+    relative === ".." ||
+    relative.startsWith(".." + path.sep) ||
+    path.isAbsolute(relative)
+  ) {
+    throw new Error(
+      `Unsafe archive entry "${entryName}": resolves outside the destination folder`
+    );
+  }
+
+  return fullPath;
+}
+
+function isSymlinkEntry(entry) {
+  // Unix file mode lives in the high 16 bits of the external attributes
+  return ((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+function isDirectoryEntry(entry) {
+  return entry.fileName.endsWith("/");
+}
+
+function validateArchiveEntries(entries, targetDir) {
+  // Check everything up front so a bad archive never writes a single file
+  const problems = [];
+  entries.forEach((entry) => {
+    if (isSymlinkEntry(entry)) {
+      problems.push(
+        `Unsafe archive entry "${entry.fileName}": symbolic links are not allowed`
+      );
+      return;
+    }
+    try {
+      resolveEntryPath(targetDir, entry.fileName);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(
+      "This package contains unsafe entries and was not installed:\n   " +
+        problems.join("\n   ")
+    );
+    error.unsafeArchive = true;
+    throw error;
+  }
+}
+
+function isMetadataEntry(entryName) {
+  return entryName === METADATA_DIR || entryName.startsWith(METADATA_DIR + "/");
+}
+
+function describeLayout(manifest, extractDir) {
+  const layout = manifest.layout || [];
+  if (layout.length === 0) {
+    return;
+  }
+
+  // Layout paths are relative to the install folder, so it must be the game root
+  if (
+    GAME &&
+    GAME.markerFile &&
+    !GAME.subpath &&
+    !fs.existsSync(path.join(extractDir, GAME.markerFile))
+  ) {
+    console.log(`\n⚠️  ${extractDir} does not contain ${GAME.markerFile}.`);
+    console.log(
+      `   This package installs into folders relative to the ${
+        GAME.name || "game"
+      } folder.`
+    );
+  }
+
+  console.log("\n🗂️  Install layout:");
+  layout.forEach((item) => {
+    console.log(
+      `   ${item.to || "."} (${item.files} file${item.files === 1 ? "" : "s"})`
+    );
+  });
+}
+
+async function readManifest(zipfile, entries) {
+  const entry = entries.find((item) => item.fileName === MANIFEST_ENTRY);
+  return entry ? JSON.parse(await readEntryText(zipfile, entry)) : null;
+}
+
+/**
+ * Read the manifest of a built package: an installer with an embedded
+ * archive or a plain ZIP. Returns null for packages without one.
+ */
+async function readPackageManifest(filePath) {
+  const source = findEmbeddedPayload(filePath) || {
+    path: filePath,
+    offset: 0,
+    length: fs.statSync(filePath).size,
+  };
+  const zipfile = await openArchive(source);
+  try {
+    return await readManifest(zipfile, await readEntries(zipfile));
+  } finally {
+    zipfile.close();
+  }
+}
+
+// The install folder and every folder above it, as dependencies often live
+// in the game root while a mod installs into a subfolder
+function getSearchDirs(targetDir) {
+  const dirs = [];
+  for (let dir = path.resolve(targetDir); ; dir = path.dirname(dir)) {
+    dirs.push(dir);
+    if (path.dirname(dir) === dir) return dirs;
+  }
+}
+
+function findInstalledVersion(requirement, dirs) {
+  // Install records written by our own installers come first
+  const name = requirement.name.toLowerCase();
+  for (const dir of dirs) {
+    const recordDir = path.join(dir, METADATA_DIR);
+    if (!fs.existsSync(recordDir)) continue;
+
+    for (const fileName of fs.readdirSync(recordDir)) {
+      if (!fileName.endsWith(".install.json")) continue;
+      try {
+        const record = JSON.parse(
+          fs.readFileSync(path.join(recordDir, fileName), "utf8")
+        );
+        const ids = [record.packageId, record.appName].filter(Boolean);
+        if (ids.some((id) => id.toLowerCase() === name)) {
+          return { version: record.version, location: dir };
+        }
+      } catch (error) {
+        // An unreadable record says nothing about this dependency
+      }
+    }
+  }
+
+  if (!requirement.file) return null;
+  for (const dir of dirs) {
+    const filePath = path.join(dir, requirement.file);
+    if (fs.existsSync(filePath)) {
+      // A marker folder only proves the package is there
+      const version = fs.statSync(filePath).isFile()
+        ? readFileVersion(filePath)
+        : null;
+      return { version, location: dir };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the file version of a Windows executable or DLL from the
+ * VS_FIXEDFILEINFO block of its version resource, or return null
+ */
+function readFileVersion(filePath) {
+  const signature = Buffer.from([0xbd, 0x04, 0xef, 0xfe]);
+  // Signature, struct version, then the file version as two uint32 values
+  const infoSize = 16;
+  const chunkSize = 1024 * 1024;
+  const buffer = Buffer.alloc(chunkSize + infoSize);
+  const fd = fs.openSync(filePath, "r");
+
+  try {
+    let carried = 0;
+    let position = 0;
+    for (;;) {
+      const bytesRead = fs.readSync(fd, buffer, carried, chunkSize, position);
+      if (bytesRead === 0) return null;
+      position += bytesRead;
+
+      const filled = carried + bytesRead;
+      const index = buffer.subarray(0, filled).indexOf(signature);
+      if (index !== -1 && index + infoSize <= filled) {
+        const major = buffer.readUInt16LE(index + 10);
+        const minor = buffer.readUInt16LE(index + 8);
+        const patch = buffer.readUInt16LE(index + 14);
+        return `${major}.${minor}.${patch}`;
+      }
+
+      // Keep the tail so a block split across two reads is still found
+      carried = index !== -1 ? filled - index : Math.min(filled, infoSize - 1);
+      buffer.copy(buffer, 0, filled - carried, filled);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function checkRequirements(targetDir) {
+  const dirs = getSearchDirs(targetDir);
+  const problems = [];
+
+  REQUIRES.forEach((requirement) => {
+    const found = findInstalledVersion(requirement, dirs);
+    const wanted = `${requirement.name} ${requirement.range}`;
+    if (!found) {
+      problems.push(`${wanted} (not found)`);
+      return;
+    }
+
+    const version = found.version && semver.coerce(found.version);
+    if (!version && requirement.range !== "*") {
+      problems.push(`${wanted} (found in ${found.location}, version unknown)`);
+    } else if (version && !semver.satisfies(version, requirement.range)) {
+      problems.push(`${wanted} (${found.version} is installed)`);
+    } else {
+      console.log(
+        `✅ Requires ${wanted}: found ${found.version || "it"} in ${
+          found.location
+        }`
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Compare this package with the install record already in the target:
+ * install, upgrade, reinstall, downgrade, or change when versions are not semver
+ */
+function getInstallChange(previous) {
+  if (!previous) {
+    return { kind: "install" };
+  }
+
+  const from = previous.version;
+  const change = { from };
+  if (previous.packageId && previous.packageId !== PACKAGE_ID) {
+    change.otherPackage = previous.packageId;
+  }
+
+  if (semver.valid(from) && semver.valid(PACKAGE_VERSION)) {
+    const order = semver.compare(PACKAGE_VERSION, from);
+    change.kind = order > 0 ? "upgrade" : order < 0 ? "downgrade" : "reinstall";
+  } else {
+    change.kind = from === PACKAGE_VERSION ? "reinstall" : "change";
+  }
+  return change;
+}
+
+function printInstallChange(change) {
+  if (change.otherPackage) {
+    console.log(
+      `\n⚠️  The existing install record belongs to package ${change.otherPackage}`
+    );
+  }
+
+  const messages = {
+    install: `🆕 Installing ${PACKAGE_NAME} ${PACKAGE_VERSION}`,
+    upgrade: `⬆️  Upgrade ${change.from} → ${PACKAGE_VERSION}`,
+    reinstall: `🔁 Reinstall ${PACKAGE_VERSION}`,
+    downgrade: `⬇️  Downgrade ${change.from} → ${PACKAGE_VERSION}`,
+    change: `🔄 Replacing ${change.from} with ${PACKAGE_VERSION}`,
+  };
+  console.log(`\n${messages[change.kind]}`);
+}
+
+function checkUpdateBase(update, targetDir) {
+  const unsafe = getDeletions(update).find((file) =>
+    getUnsafeEntryReason(file.path)
+  );
+  if (unsafe) {
+    return `Unsafe file to remove: ${unsafe.path}`;
+  }
+
+  const record = readInstallRecord(targetDir);
+  if (!record) {
+    return `${PACKAGE_NAME} ${update.baseVersion} is not installed in ${targetDir}`;
+  }
+  if (record.version !== update.baseVersion) {
+    return `It updates ${PACKAGE_NAME} ${update.baseVersion}, but ${record.version} is installed in ${targetDir}`;
+  }
+  return null;
+}
+
+// Early update packages listed removed files by path only
+function getDeletions(update) {
+  return update.deletions.map((file) =>
+    typeof file === "string" ? { path: file } : file
+  );
+}
+
+function removeDeletedFiles(deletions, targetDir, record, summary) {
+  deletions.forEach((file) => {
+    const relativePath = file.path;
+    const filePath = resolveEntryPath(targetDir, relativePath);
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    // Either way the file is no longer the package's for uninstall to remove
+    record.created = record.created.filter((item) => item !== relativePath);
+
+    const edited = Boolean(file.sha256) && hashFile(filePath) !== file.sha256;
+    if (edited && file.conflict === "backup") {
+      const backupPath = getBackupPath(filePath);
+      fs.renameSync(filePath, backupPath);
+      summary.backedUp.push(
+        `${relativePath} (removed, old copy: ${path.basename(backupPath)})`
+      );
+      console.log(
+        `   🗄️  Changed since the last version, kept as: ${path.basename(
+          backupPath
+        )}`
+      );
+    } else if (edited) {
+      summary.skipped.push(relativePath);
+      console.log(
+        `   ⏭️  Changed since the last version, kept: ${relativePath}`
+      );
+      return;
+    } else {
+      fs.unlinkSync(filePath);
+      summary.deleted.push(relativePath);
+      console.log(`   🗑️  Removed: ${relativePath}`);
+    }
+
+    // Prune folders the package created once they are empty, as uninstall does
+    let dirPath = path.dirname(filePath);
+    while (dirPath !== targetDir) {
+      const relativeDir = toRecordPath(targetDir, dirPath);
+      if (
+        !record.directories.includes(relativeDir) ||
+        !removeIfEmpty(dirPath)
+      ) {
+        break;
+      }
+      record.directories = record.directories.filter(
+        (item) => item !== relativeDir
+      );
+      dirPath = path.dirname(dirPath);
+    }
+  });
+}
+
+function hashFile(filePath) {
+  // Read in chunks so large files are never fully buffered
+  const hash = crypto.createHash("sha256");
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, "r");
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return hash.digest("hex");
+}
+
+function verifyFiles(baseDir, manifest, exclude = new Set()) {
+  const result = { missing: [], modified: [], extra: [] };
+
+  manifest.files.forEach((file) => {
+    if (exclude.has(file.path)) {
+      return;
+    }
+
+    const filePath = path.join(baseDir, file.path);
+    if (!fs.existsSync(filePath)) {
+      result.missing.push(file.path);
+    } else if (
+      fs.statSync(filePath).size !== file.size ||
+      hashFile(filePath) !== file.sha256
+    ) {
+      result.modified.push(file.path);
+    }
+  });
+
+  return result;
+}
+
+function findExtraFiles(baseDir, manifest) {
+  // Only look inside folders the package owns, never the whole install root
+  const known = new Set(manifest.files.map((file) => file.path));
+  const folders = new Set();
+  manifest.files.forEach((file) => {
+    const folder = path.posix.dirname(file.path);
+    if (folder !== ".") folders.add(folder);
+  });
+
+  const extra = [];
+  folders.forEach((folder) => {
+    const folderPath = path.join(baseDir, folder);
+    if (!fs.existsSync(folderPath)) return;
+
+    fs.readdirSync(folderPath, { withFileTypes: true }).forEach((item) => {
+      const relativePath = folder + "/" + item.name;
+      if (item.isFile() && !known.has(relativePath)) {
+        extra.push(relativePath);
+      }
+    });
+  });
+
+  return extra.sort();
+}
+
+function describeVerification(result) {
+  const lines = [];
+  result.missing.forEach((file) => lines.push("   ❌ Missing:  " + file));
+  result.modified.forEach((file) => lines.push("   ⚠️  Modified: " + file));
+  result.extra.forEach((file) => lines.push("   ➕ Extra:    " + file));
+  return lines.join("\n");
+}
+
+async function verifyInstall(targetDir) {
+  showMessage(PACKAGE_NAME + " - Verify Installation");
+  console.log(`\n🔍 Verifying: ${targetDir}`);
+
+  let zipfile = null;
+  try {
+    zipfile = await openArchive(locateArchive());
+    const manifest = await readManifest(zipfile, await readEntries(zipfile));
+    if (!manifest) {
+      throw new Error(
+        "This package has no install manifest and cannot be verified."
+      );
+    }
+
+    const result = verifyFiles(targetDir, manifest);
+    result.extra = findExtraFiles(targetDir, manifest);
+
+    const intact =
+      manifest.files.length - result.missing.length - result.modified.length;
+    console.log(`\n📊 ${intact}/${manifest.files.length} files intact`);
+
+    if (
+      result.missing.length ||
+      result.modified.length ||
+      result.extra.length
+    ) {
+      console.log("\n" + describeVerification(result));
+    }
+
+    if (result.missing.length || result.modified.length) {
+      console.log("\n❌ Verification failed.");
+      return EXIT_CODES.VERIFICATION_FAILED;
+    }
+
+    console.log("\n✅ Installation verified.");
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    console.log(`\n❌ Verification failed: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  } finally {
+    if (zipfile) zipfile.close();
+  }
+}
+
+function getRecordPath(targetDir) {
+  return path.join(targetDir, METADATA_DIR, INSTALL_NAME + ".install.json");
+}
+
+function getBackupDir(targetDir) {
+  return path.join(targetDir, METADATA_DIR, "backup", INSTALL_NAME);
+}
+
+function toRecordPath(targetDir, fullPath) {
+  return path.relative(targetDir, fullPath).split(path.sep).join("/");
+}
+
+function readInstallRecord(targetDir) {
+  const recordPath = getRecordPath(targetDir);
+  if (!fs.existsSync(recordPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(recordPath, "utf8"));
+}
+
+function createInstallRecord(targetDir) {
+  // Carry an earlier install forward so uninstall still restores the original files
+  const previous = readInstallRecord(targetDir);
+  return {
+    formatVersion: 1,
+    packageId: PACKAGE_ID,
+    appName: PACKAGE_NAME,
+    version: PACKAGE_VERSION,
+    installedAt: new Date().toISOString(),
+    created: previous ? previous.created : [],
+    overwritten: previous ? previous.overwritten : [],
+    directories: previous ? previous.directories : [],
+  };
+}
+
+function writeInstallRecord(targetDir, record) {
+  const recordPath = getRecordPath(targetDir);
+  fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+  fs.writeFileSync(recordPath, JSON.stringify(record, null, 2));
+  console.log(
+    `\n📝 Install record saved: ${toRecordPath(targetDir, recordPath)}`
+  );
+}
+
+function trackDirectories(record, targetDir, dirPath) {
+  // Remember every folder this install creates so uninstall can prune it
+  let current = dirPath;
+  while (current !== targetDir && !fs.existsSync(current)) {
+    const relativePath = toRecordPath(targetDir, current);
+    if (!record.directories.includes(relativePath)) {
+      record.directories.push(relativePath);
+    }
+    current = path.dirname(current);
+  }
+}
+
+function trackFileWrite(record, targetDir, relativePath) {
+  const alreadyTracked =
+    record.created.includes(relativePath) ||
+    record.overwritten.some((entry) => entry.path === relativePath);
+  if (alreadyTracked) {
+    return;
+  }
+
+  const filePath = path.join(targetDir, relativePath);
+  if (fs.existsSync(filePath)) {
+    // Keep the original so uninstall can put it back
+    const backupPath = path.join(getBackupDir(targetDir), relativePath);
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.copyFileSync(filePath, backupPath);
+    record.overwritten.push({
+      path: relativePath,
+      backup: toRecordPath(targetDir, backupPath),
+    });
+  } else {
+    record.created.push(relativePath);
+  }
+}
+
+function removeIfEmpty(dirPath) {
+  if (fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+    fs.rmdirSync(dirPath);
+    return true;
+  }
+  return false;
+}
+
+function uninstall(targetDir) {
+  showMessage(PACKAGE_NAME + " - Uninstall");
+  console.log(`\n📂 Uninstalling from: ${targetDir}`);
+
+  const record = readInstallRecord(targetDir);
+  if (!record) {
+    console.log(
+      `\n❌ No install record for ${PACKAGE_NAME} found in ${targetDir}`
+    );
+    return EXIT_CODES.FAILURE;
+  }
+
+  let removed = 0;
+  let restored = 0;
+  let pruned = 0;
+
+  record.created.forEach((relativePath) => {
+    const filePath = path.join(targetDir, relativePath);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      removed++;
+      console.log(`   🗑️  Removed: ${relativePath}`);
+    }
+  });
+
+  record.overwritten.forEach((entry) => {
+    const backupPath = path.join(targetDir, entry.backup);
+    if (!fs.existsSync(backupPath)) {
+      console.log(`   ⚠️  Backup missing, cannot restore: ${entry.path}`);
+      return;
+    }
+    const filePath = path.join(targetDir, entry.path);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.copyFileSync(backupPath, filePath);
+    restored++;
+    console.log(`   ♻️  Restored: ${entry.path}`);
+  });
+
+  // Deepest folders first so parents are empty by the time they are checked
+  record.directories
+    .slice()
+    .sort((a, b) => b.split("/").length - a.split("/").length)
+    .forEach((relativePath) => {
+      if (removeIfEmpty(path.join(targetDir, relativePath))) {
+        pruned++;
+      }
+    });
+
+  fs.rmSync(getBackupDir(targetDir), { recursive: true, force: true });
+  fs.unlinkSync(getRecordPath(targetDir));
+  removeIfEmpty(path.dirname(getBackupDir(targetDir)));
+  removeIfEmpty(path.join(targetDir, METADATA_DIR));
+
+  console.log(
+    `\n📊 Removed ${removed} files, restored ${restored} files, pruned ${pruned} folders`
+  );
+  console.log(`\n✅ ${PACKAGE_NAME} ${record.version} has been uninstalled.`);
+  return EXIT_CODES.SUCCESS;
+}
+
+function parseArgs(argv) {
+  const args = { silent: false, noWait: false, overwrite: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const hasNext = argv[i + 1] !== undefined && !argv[i + 1].startsWith("--");
+
+    const requiredValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (hasNext) return argv[++i];
+      throw new Error(`Option ${flag} requires a value`);
+    };
+    // --verify and --uninstall take an optional directory
+    const optionalValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      return hasNext ? argv[++i] : true;
+    };
+
+    switch (flag) {
+      case "--target":
+        args.target = requiredValue();
+        break;
+      case "--silent":
+        args.silent = true;
+        break;
+      case "--no-wait":
+        args.noWait = true;
+        break;
+      case "--accept-license":
+        args.acceptLicense = true;
+        break;
+      case "--overwrite":
+        args.overwrite = requiredValue();
+        if (!OVERWRITE_MODES[args.overwrite]) {
+          throw new Error(
+            `Invalid --overwrite mode "${
+              args.overwrite
+            }", expected one of: ${Object.keys(OVERWRITE_MODES).join(", ")}`
+          );
+        }
+        break;
+      case "--verify":
+        args.verify = optionalValue();
+        break;
+      case "--uninstall":
+        args.uninstall = optionalValue();
+        break;
+      case "--help":
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function printUsage() {
+  console.log(`
+Usage: ${path.basename(process.execPath)} [options]
+
+Options:
+  --target <dir>                     Install into <dir> without asking
+  --silent                           Never prompt or wait (needs --target, ${DIRECTORY_ENV_VAR} or a detected game)
+  --overwrite=always|never|newer     Handle every existing file this way instead of the package settings
+  --no-wait                          Exit as soon as the installer finishes
+  --accept-license                   Accept the package license without asking
+  --verify [dir]                     Check an existing install against the package
+  --uninstall [dir]                  Remove a previous install
+  --help                             Show this help
+
+Exit codes:
+  0  success                 3  verification failed
+  1  failure                 4  cancelled by the user
+  2  partial success         5  invalid arguments
+                             6  update does not match the installed version
+                             7  downgrade blocked by the package
+                             8  required packages are missing`);
+}
+
+async function resolveTargetDir(explicitDir) {
+  if (typeof explicitDir === "string") return path.resolve(explicitDir);
+
+  // --target always wins, wherever "cli" sits in the list or if it is left out
+  let providers = ["cli"].concat(
+    DIRECTORY_PROVIDERS.filter((name) => name !== "cli")
+  );
+
+  // Silent runs skip anything that asks, but still accept a detected game
+  if (cliArgs.silent) {
+    providers = providers.filter((name) => SILENT_PROVIDERS.includes(name));
+    if (!providers.includes("game")) providers = providers.concat("game");
+  }
+
+  return selectTargetDir(providers, createProviderContext());
+}
+
+// Turn a conflict policy into what happens to one existing file
+function resolveConflict(policy, filePath, entryTime) {
+  switch (policy) {
+    case "skip":
+      return "skip";
+    case "keep-newer":
+      return entryTime.getTime() > fs.statSync(filePath).mtimeMs
+        ? "overwrite"
+        : "skip";
+    case "backup":
+      return "backup";
+    case "config":
+      return "new";
+    default:
+      return "overwrite";
+  }
+}
+
+async function askConflictOverride(conflicts) {
+  // Only a person at a terminal can answer, and --overwrite already decided
+  if (!process.stdin.isTTY || cliArgs.silent || cliArgs.overwrite) {
+    return null;
+  }
+
+  console.log(`\n⚠️  ${conflicts.length} file(s) already exist:`);
+  conflicts.slice(0, 10).forEach((conflict) => {
+    console.log(`   ${conflict.entry.fileName} (${conflict.policy})`);
+  });
+  if (conflicts.length > 10) {
+    console.log(`   ...and ${conflicts.length - 10} more`);
+  }
+
+  for (;;) {
+    const answer = await ask(
+      "\n[K]eep the package settings shown above, [O]verwrite all, or [S]kip all? [K/o/s] "
+    );
+    const typed = (answer || "").trim().toLowerCase();
+    if (!typed || typed === "k") return null;
+    if (typed === "o") return "overwrite";
+    if (typed === "s") return "skip";
+  }
+}
+
+function getBackupPath(filePath) {
+  let backupPath = `${filePath}.bak`;
+  for (let index = 1; fs.existsSync(backupPath); index++) {
+    backupPath = `${filePath}.bak${index}`;
+  }
+  return backupPath;
+}
+
+async function runMaintenance() {
+  const targetDir = await resolveTargetDir(cliArgs.verify || cliArgs.uninstall);
+  if (!targetDir) {
+    console.log(
+      cliArgs.silent
+        ? "❌ --silent requires a directory"
+        : "❌ No directory selected."
+    );
+    return cliArgs.silent ? EXIT_CODES.INVALID_ARGS : EXIT_CODES.CANCELLED;
+  }
+
+  return cliArgs.verify ? verifyInstall(targetDir) : uninstall(targetDir);
+}
+
+function finish(code) {
+  // Interactive runs on Windows keep the console window open so the user can read
+  // the result; terminals elsewhere stay open on their own
+  if (cliArgs.silent || cliArgs.noWait || process.platform !== "win32") {
+    process.exit(code);
+  }
+
+  console.log("\n⏱️  This window will stay open for 30 seconds...");
+  console.log(
+    "\n💡 You can close this window manually by clicking the X button."
+  );
+
+  setTimeout(() => {
+    console.log("\n\n👋 Goodbye!");
+    process.exit(code);
+  }, 30000);
+}
+
+async function acceptLicense() {
+  if (cliArgs.acceptLicense) {
+    return true;
+  }
+  if (cliArgs.silent) {
+    console.log("\n❌ --silent requires --accept-license for this package");
+    return false;
+  }
+
+  console.log("\n📜 License agreement\n");
+  console.log(INSTALLER.license.trim());
+  console.log("");
+  if (await confirm("Do you accept the license terms?", false)) {
+    return true;
+  }
+  console.log("\n❌ Installation cancelled: the license was not accepted.");
+  return false;
+}
+
+// Walk up from the install folder to the game folder, found by its marker file
+function findGameRoot(startDir) {
+  for (let dir = startDir; ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, GAME.markerFile))) return dir;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+async function runFinishAction(targetDir) {
+  const action = INSTALLER.finishAction;
+  let command;
+  let args;
+  let cwd = targetDir;
+
+  if (action.type === "open-folder") {
+    command =
+      { win32: "explorer.exe", darwin: "open" }[process.platform] || "xdg-open";
+    args = [targetDir];
+  } else {
+    const gameRoot = action.path ? null : findGameRoot(targetDir);
+    if (!action.path && !gameRoot) {
+      console.log(
+        `\n⚠️  ${GAME.markerFile} was not found above ${targetDir}, nothing to launch`
+      );
+      return;
+    }
+    command = action.path
+      ? path.join(targetDir, action.path)
+      : path.join(gameRoot, GAME.markerFile);
+    args = [];
+    cwd = path.dirname(command);
+  }
+
+  if (!(await confirm(`\n▶️  ${action.label}?`, true))) {
+    return;
+  }
+  const child = spawn(command, args, { cwd, detached: true, stdio: "ignore" });
+  child.on("error", (error) =>
+    console.log(`\n⚠️  Could not run ${command}: ${error.message}`)
+  );
+  child.unref();
+}
+
+async function extractFiles() {
+  try {
+    showMessage(
+      INSTALLER.welcome
+        ? `${INSTALLER.title}\n\n${INSTALLER.welcome}`
+        : INSTALLER.title
+    );
+
+    if (INSTALLER.license && !(await acceptLicense())) {
+      return cliArgs.silent ? EXIT_CODES.INVALID_ARGS : EXIT_CODES.CANCELLED;
+    }
+
+    console.log("\n⏱️  Preparing extraction... Please wait...");
+
+    const extractDir = await resolveTargetDir();
+
+    if (!extractDir && cliArgs.silent) {
+      console.log(
+        `\n❌ --silent requires --target <dir> or ${DIRECTORY_ENV_VAR} when the game folder cannot be detected`
+      );
+      return EXIT_CODES.INVALID_ARGS;
+    }
+    if (!extractDir) {
+      console.log(
+        "\n❌ Installation cancelled: no extraction directory selected."
+      );
+      return EXIT_CODES.CANCELLED;
+    }
+
+    const missing = checkRequirements(extractDir);
+    if (missing.length > 0) {
+      showMessage(
+        `❌ ${PACKAGE_NAME} needs packages that are missing or out of date:\n\n` +
+          missing.map((problem) => `   - ${problem}`).join("\n")
+      );
+      console.log(
+        "\n💡 Install or update them first, then run this installer again."
+      );
+      return EXIT_CODES.REQUIREMENTS_NOT_MET;
+    }
+
+    console.log(`\n📂 Extracting to: ${extractDir}`);
+
+    const source = locateArchive();
+
+    let summary = null;
+
+    // Stream entries straight from the installer to disk
+    console.log("\n🔄 Extracting files...");
+    console.log(`Source: ${source.path}`);
+    console.log(`Destination: ${extractDir}`);
+
+    let extractedCount = 0;
+    let manifest = null;
+
+    const zipfile = await openArchive(source);
+    try {
+      const entries = await readEntries(zipfile);
+
+      console.log(`\n📦 Archive contains ${entries.length} items`);
+      validateArchiveEntries(entries, extractDir);
+
+      manifest = await readManifest(zipfile, entries);
+      if (manifest) {
+        describeLayout(manifest, extractDir);
+      }
+
+      // Deterministic packages date every entry the same, so their dates say
+      // nothing about which copy is newer and are not restored either
+      const fixedDates = Boolean(manifest && manifest.deterministic);
+      if (fixedDates && cliArgs.overwrite === "newer") {
+        console.log(
+          "\n❌ --overwrite=newer needs file dates, which this package does not keep. Use always or never instead."
+        );
+        return EXIT_CODES.INVALID_ARGS;
+      }
+
+      // An update only applies on top of the version it was built from
+      const update = manifest && manifest.update;
+      if (update) {
+        const problem = checkUpdateBase(update, extractDir);
+        if (problem) {
+          showMessage(`❌ This update cannot be installed here:\n\n${problem}`);
+          console.log(
+            `\n💡 Install the full ${PACKAGE_NAME} ${PACKAGE_VERSION} package instead.`
+          );
+          return EXIT_CODES.BASE_MISMATCH;
+        }
+      }
+
+      const change = getInstallChange(readInstallRecord(extractDir));
+      printInstallChange(change);
+      if (change.kind === "downgrade" && !INSTALLER.allowDowngrade) {
+        showMessage(
+          `❌ ${PACKAGE_NAME} ${change.from} is already installed in:\n${extractDir}\n\nThis package does not allow going back to ${PACKAGE_VERSION}.`
+        );
+        return EXIT_CODES.DOWNGRADE_BLOCKED;
+      }
+
+      // Only now, so a refused update or downgrade leaves nothing behind
+      if (!fs.existsSync(extractDir)) {
+        fs.mkdirSync(extractDir, { recursive: true });
+      }
+
+      // Entries the package will write, from the manifest when the package has one
+      const packageFiles = manifest
+        ? manifest.files
+        : entries
+            .filter(
+              (entry) =>
+                !isDirectoryEntry(entry) && !isMetadataEntry(entry.fileName)
+            )
+            .map((entry) => ({
+              path: entry.fileName,
+              size: entry.uncompressedSize,
+            }));
+      const before = snapshotTarget(extractDir, packageFiles);
+      const policies = new Map(
+        packageFiles.map((file) => [file.path, file.conflict || "overwrite"])
+      );
+      summary = {
+        added: [],
+        overwritten: [],
+        backedUp: [],
+        newCopies: [],
+        unchanged: [],
+        skipped: [],
+        failed: [],
+        deleted: [],
+        bytesWritten: 0,
+      };
+
+      const record = createInstallRecord(extractDir);
+
+      // Decide what to write first so progress covers exactly those bytes
+      const pending = [];
+      const conflicts = [];
+      entries.forEach((entry) => {
+        if (isMetadataEntry(entry.fileName)) {
+          return;
+        }
+
+        if (isDirectoryEntry(entry)) {
+          const dirPath = resolveEntryPath(extractDir, entry.fileName);
+          if (!fs.existsSync(dirPath)) {
+            trackDirectories(record, extractDir, dirPath);
+            fs.mkdirSync(dirPath, { recursive: true });
+          }
+          return;
+        }
+
+        const entryPath = resolveEntryPath(extractDir, entry.fileName);
+        const state = before.get(entry.fileName) || {
+          exists: fs.existsSync(entryPath),
+        };
+        if (state.unchanged) {
+          summary.unchanged.push(entry.fileName);
+          console.log(`   ✔️  Unchanged: ${entry.fileName}`);
+          return;
+        }
+
+        if (!state.exists) {
+          pending.push({ entry, entryPath, action: "add" });
+          return;
+        }
+
+        const policy = cliArgs.overwrite
+          ? OVERWRITE_MODES[cliArgs.overwrite]
+          : policies.get(entry.fileName) || "overwrite";
+        conflicts.push({ entry, entryPath, policy });
+      });
+
+      const override =
+        conflicts.length > 0 ? await askConflictOverride(conflicts) : null;
+      conflicts.forEach((conflict) => {
+        const policy = override || conflict.policy;
+        const action = resolveConflict(
+          policy,
+          conflict.entryPath,
+          getEntryModifiedTime(conflict.entry)
+        );
+        if (action === "skip") {
+          summary.skipped.push(conflict.entry.fileName);
+          console.log(`   ⏭️  Skipped (${policy}): ${conflict.entry.fileName}`);
+          return;
+        }
+        pending.push({ ...conflict, action });
+      });
+
+      const totalBytes = pending.reduce(
+        (sum, item) => sum + item.entry.uncompressedSize,
+        0
+      );
+      const progress = createProgress(totalBytes);
+
+      try {
+        for (const item of pending) {
+          const name = item.entry.fileName;
+          let written = 0;
+
+          // Extract file, carrying on past files that cannot be written
+          try {
+            const entryDir = path.dirname(item.entryPath);
+            if (!fs.existsSync(entryDir)) {
+              trackDirectories(record, extractDir, entryDir);
+              fs.mkdirSync(entryDir, { recursive: true });
+            }
+
+            // Config files stay as the user left them, the packaged copy goes beside them
+            const destName = item.action === "new" ? `${name}.new` : name;
+            const destPath =
+              item.action === "new" ? `${item.entryPath}.new` : item.entryPath;
+            if (item.action === "backup") {
+              // Recorded as created so uninstall removes it with the rest
+              item.backupPath = getBackupPath(item.entryPath);
+              trackFileWrite(
+                record,
+                extractDir,
+                toRecordPath(extractDir, item.backupPath)
+              );
+              fs.copyFileSync(item.entryPath, item.backupPath);
+            }
+
+            trackFileWrite(record, extractDir, destName);
+            await writeEntryAtomically(
+              zipfile,
+              item.entry,
+              destPath,
+              (bytes) => {
+                written += bytes;
+                progress.advance(bytes);
+              },
+              !fixedDates
+            );
+            extractedCount++;
+            summary.bytesWritten += written;
+          } catch (writeError) {
+            progress.advance(item.entry.uncompressedSize - written);
+            summary.failed.push(name);
+            progress.log(`   ❌ Failed: ${name} (${writeError.message})`);
+            continue;
+          }
+
+          if (item.action === "add") {
+            summary.added.push(name);
+            progress.log(`   ➕ Added: ${name}`);
+          } else if (item.action === "backup") {
+            const backupName = path.basename(item.backupPath);
+            summary.backedUp.push(`${name} (old copy: ${backupName})`);
+            progress.log(`   🗄️  Backed up and overwritten: ${name}`);
+          } else if (item.action === "new") {
+            summary.newCopies.push(`${name}.new`);
+            progress.log(`   🆕 Kept existing, saved as ${name}.new`);
+          } else {
+            summary.overwritten.push(name);
+            progress.log(`   ✏️  Overwritten: ${name}`);
+          }
+        }
+      } finally {
+        progress.stop();
+      }
+
+      if (update) {
+        removeDeletedFiles(getDeletions(update), extractDir, record, summary);
+      }
+
+      writeInstallRecord(extractDir, record);
+    } finally {
+      zipfile.close();
+    }
+
+    // Verify every extracted file against the package manifest
+    if (manifest) {
+      console.log("\n🔐 Verifying extracted files...");
+      // Config files that got a .new copy keep the user's version in place
+      const notWritten = summary.skipped.concat(
+        summary.failed,
+        summary.newCopies.map((name) => name.replace(/\.new$/, ""))
+      );
+      const result = verifyFiles(extractDir, manifest, new Set(notWritten));
+      if (result.missing.length || result.modified.length) {
+        const failed = result.missing.length + result.modified.length;
+        const error = new Error(
+          `${failed} file(s) failed verification:\n` +
+            describeVerification(result)
+        );
+        error.verificationFailed = true;
+        throw error;
+      }
+      console.log(
+        `✅ Verified ${manifest.files.length - notWritten.length} files`
+      );
+    } else {
+      console.log("\n⚠️  Package has no manifest, skipping verification");
+    }
+
+    console.log(`\n✅ Successfully extracted ${extractedCount} files!`);
+
+    printSummary(summary);
+
+    if (summary.failed.length > 0) {
+      showMessage(
+        "⚠️  Extraction partially completed!\n\nSome files could not be written to:\n" +
+          extractDir
+      );
+      console.log("\n==========================================");
+      console.log("     INSTALLATION PARTIALLY COMPLETED");
+      console.log("==========================================");
+      console.log("\n❌ Files that could not be written:");
+      summary.failed.forEach((file) => console.log("   " + file));
+      console.log(
+        "\n💡 Close the game or any program using these files and run the installer again."
+      );
+      return EXIT_CODES.PARTIAL;
+    }
+
+    showMessage(
+      "✅ Extraction completed!\n\nFiles have been extracted to:\n" + extractDir
+    );
+
+    console.log("\n==========================================");
+    console.log("        INSTALLATION COMPLETED!");
+    console.log("==========================================");
+    console.log("\n🎉 Installation completed successfully!");
+    console.log("\n📁 Files extracted to: " + extractDir);
+    if (INSTALLER.completion) {
+      console.log("\n" + INSTALLER.completion);
+    }
+    if (INSTALLER.finishAction && !cliArgs.silent) {
+      await runFinishAction(extractDir);
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    showMessage("❌ Extraction failed:\n" + error.message);
+    console.log("\n==========================================");
+    console.log("        INSTALLATION FAILED!");
+    console.log("==========================================");
+    console.log("\n❌ Installation failed!");
+    console.log("\n🔍 Error details: " + error.message);
+    return error.verificationFailed
+      ? EXIT_CODES.VERIFICATION_FAILED
+      : EXIT_CODES.FAILURE;
+  }
+}
+
+let cliArgs = { silent: false, noWait: false, overwrite: null };
+
+/**
+ * Run the installer with the package settings and the process arguments
+ */
+function run(settings, argv = process.argv.slice(2)) {
+  configure(settings);
+
+  // Add error handling to catch any silent failures
+  process.on("uncaughtException", (error) => {
+    console.log("\n❌ CRITICAL ERROR CAUGHT:");
+    console.log("Error: " + error.message);
+    console.log("Stack: " + error.stack);
+    finish(EXIT_CODES.FAILURE);
+  });
+
+  process.on("unhandledRejection", (reason, promise) => {
+    console.log("\n❌ UNHANDLED REJECTION:");
+    console.log("Reason: " + reason);
+    finish(EXIT_CODES.FAILURE);
+  });
+
+  // Force console window to appear on Windows
+  if (process.platform === "win32") {
+    // Create a console window if one doesn't exist
+    try {
+      // Sets the console window title without going through a shell
+      process.title = INSTALLER.title;
+
+      // Also try to allocate a console
+      try {
+        const { execSync } = require("child_process");
+        execSync("cmd /c echo Console allocated", { stdio: "ignore" });
+      } catch (e) {
+        // Ignore errors
+      }
+    } catch (e) {
+      // Ignore errors
+    }
+
+    // Force stdout to be available
+    if (!process.stdout.isTTY) {
+      // Don't override stdout.write with console.log to avoid circular reference
+      process.stdout.isTTY = true;
+    }
+  }
+
+  try {
+    cliArgs = parseArgs(argv);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    printUsage();
+    process.exit(EXIT_CODES.INVALID_ARGS);
+  }
+
+  if (cliArgs.help) {
+    printUsage();
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  if (cliArgs.verify || cliArgs.uninstall) {
+    // Check or undo an existing install and exit without extracting
+    runMaintenance().then((code) => process.exit(code));
+  } else {
+    // Start extraction with immediate pause and error handling
+    console.log("\n🚀 Starting " + INSTALLER.title + "...");
+    extractFiles().then(finish, (startupError) => {
+      console.log("\n❌ STARTUP ERROR:");
+      console.log("Error: " + startupError.message);
+      console.log("Stack: " + startupError.stack);
+      finish(EXIT_CODES.FAILURE);
+    });
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  run,
+  configure,
+  parseArgs,
+  validateInstallDir,
+  expandPath,
+  SELECTION_CANCELLED,
+  directoryProviders,
+  selectTargetDir,
+  parseVdf,
+  findSteamLibraries,
+  findSteamGame,
+  findEpicGame,
+  detectGamePath,
+  findEmbeddedPayload,
+  readPackageManifest,
+  getInstallChange,
+  checkRequirements,
+  readFileVersion,
+};
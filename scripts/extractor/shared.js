@@ -0,0 +1,57 @@
+/**
+ * Constants and helpers shared by the packer and the extractor runtime
+ */
+
+// Trailer appended after the embedded ZIP payload:
+// 8-byte magic, then payload offset and length as little-endian uint64
+const PAYLOAD_MAGIC = "EXEPAYLD";
+const PAYLOAD_TRAILER_SIZE = 24;
+
+// Reserved archive folder for installer metadata, never extracted
+const METADATA_DIR = ".installer";
+const MANIFEST_ENTRY = `${METADATA_DIR}/manifest.json`;
+
+/**
+ * Explain why an archive entry name is unsafe to extract, or return null
+ */
+function getUnsafeEntryReason(entryName) {
+  if (!entryName || entryName.includes("\0")) {
+    return "empty or invalid name";
+  }
+  if (/^[\\/]/.test(entryName)) {
+    return "absolute path";
+  }
+  if (/^[a-zA-Z]:/.test(entryName)) {
+    return "drive-letter path";
+  }
+
+  const segments = entryName.split(/[\\/]/);
+  for (const segment of segments) {
+    if (segment === "" || segment === ".") {
+      continue;
+    }
+    if (segment === "..") {
+      return "parent directory reference";
+    }
+    if (segment.includes(":")) {
+      return `colon in "${segment}"`;
+    }
+    if (/[. ]$/.test(segment)) {
+      return `trailing dot or space in "${segment}"`;
+    }
+    const baseName = segment.split(".")[0].trim().toUpperCase();
+    if (/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/.test(baseName)) {
+      return `reserved device name "${segment}"`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PAYLOAD_MAGIC,
+  PAYLOAD_TRAILER_SIZE,
+  METADATA_DIR,
+  MANIFEST_ENTRY,
+  getUnsafeEntryReason,
+};
@@ -0,0 +1,377 @@
+/**
+ * Build provenance report written next to the outputs: inputs, resolved
+ * config, tool versions, artifacts, timings and warnings, plus a CycloneDX
+ * SBOM generated from the project's lockfile
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execSync } = require("child_process");
+
+const REPORT_FILE = "build-report.json";
+const SBOM_FILE = "sbom.cdx.json";
+const REPORT_VERSION = 1;
+const CYCLONEDX_SPEC_VERSION = "1.5";
+
+// npm writes npm-shrinkwrap.json instead of package-lock.json for published CLIs
+const LOCKFILES = ["npm-shrinkwrap.json", "package-lock.json"];
+
+// Subresource integrity algorithms and their CycloneDX names
+const HASH_ALGORITHMS = {
+  sha1: "SHA-1",
+  sha256: "SHA-256",
+  sha384: "SHA-384",
+  sha512: "SHA-512",
+};
+
+class BuildReport {
+  constructor(tool, { type = null, config = {}, options = {} } = {}) {
+    this.tool = tool;
+    this.type = type;
+    this.config = config;
+    this.options = options;
+    this.startedAt = new Date();
+    this.tools = { node: process.version };
+    this.inputs = [];
+    this.artifacts = [];
+    this.timings = [];
+    this.warnings = [];
+    this.sbom = null;
+  }
+
+  /**
+   * Run a build step and record how long it took
+   */
+  async time(step, fn) {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.timings.push({ step, durationMs: Date.now() - start });
+    }
+  }
+
+  /**
+   * Print a warning and keep it for the report
+   */
+  warn(message) {
+    console.log(`⚠️  ${message}`);
+    this.warnings.push(message);
+  }
+
+  /**
+   * Record a file that went into the build. Files are hashed when the
+   * report is written unless a sha256 is passed in.
+   */
+  addInput(filePath, details = {}) {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      this.inputs.push({ path: filePath, ...details });
+    }
+  }
+
+  /**
+   * Record a file the build produced. Pass size and sha256 for files that
+   * are removed before the report is written.
+   */
+  addArtifact(filePath, details = {}) {
+    if (fs.existsSync(filePath)) {
+      this.artifacts.push({ path: filePath, ...details });
+    }
+  }
+
+  /**
+   * Ask each tool for its version, null when it is not installed
+   */
+  addToolVersions(names) {
+    names.forEach((name) => {
+      this.tools[name] = getToolVersion(name);
+    });
+  }
+
+  /**
+   * Generate a CycloneDX SBOM from the lockfile in a project folder.
+   * Pass roots to list only those packages and what they depend on, and
+   * component to describe what was built instead of the lockfile's project
+   */
+  addSbom(projectDir, options = {}) {
+    const lockfilePath = LOCKFILES.map((name) =>
+      path.join(projectDir, name)
+    ).find((filePath) => fs.existsSync(filePath));
+    if (!lockfilePath) {
+      this.warn(`No package-lock.json in ${projectDir}, SBOM skipped`);
+      return;
+    }
+
+    try {
+      this.sbom = createSbom(lockfilePath, options);
+      this.addInput(lockfilePath, { role: "lockfile" });
+    } catch (error) {
+      this.warn(
+        `Could not read ${lockfilePath}, SBOM skipped: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Hash the recorded files and write the report and SBOM to outputDir
+   */
+  async write(outputDir) {
+    const finishedAt = new Date();
+    for (const file of [...this.inputs, ...this.artifacts]) {
+      if (file.size === undefined) {
+        file.size = fs.statSync(file.path).size;
+      }
+      if (!file.sha256) {
+        file.sha256 = await hashFile(file.path);
+      }
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    let sbom = null;
+    if (this.sbom) {
+      const sbomPath = path.join(outputDir, SBOM_FILE);
+      fs.writeFileSync(sbomPath, JSON.stringify(this.sbom, null, 2));
+      sbom = {
+        path: sbomPath,
+        format: "CycloneDX",
+        specVersion: CYCLONEDX_SPEC_VERSION,
+        components: this.sbom.components.length,
+      };
+    }
+
+    const report = {
+      reportVersion: REPORT_VERSION,
+      tool: this.tool,
+      type: this.type,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      config: this.config,
+      options: this.options,
+      tools: this.tools,
+      inputs: this.inputs,
+      artifacts: this.artifacts,
+      timings: this.timings,
+      warnings: this.warnings,
+      sbom,
+    };
+
+    const reportPath = path.join(outputDir, REPORT_FILE);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    console.log(`🧾 Build report: ${reportPath}`);
+    return reportPath;
+  }
+}
+
+function getToolVersion(name) {
+  try {
+    const output = execSync(`${name} --version`, {
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 30000,
+    });
+    return output.toString().trim().split(/\r?\n/)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Build a CycloneDX SBOM of the production dependencies in an npm lockfile,
+ * or of the packages in roots and their dependencies
+ */
+function createSbom(lockfilePath, { roots = null, component = null } = {}) {
+  const lockfile = JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+  const components = new Map();
+  const addComponent = (name, info) => {
+    if (!name || !info.version || info.link) return;
+    // A dependency closure is what ships, whatever the lockfile marks as dev
+    if (!roots && info.dev) return;
+    const purl = getPurl(name, info.version);
+    if (components.has(purl)) return;
+
+    const component = {
+      type: "library",
+      "bom-ref": purl,
+      name,
+      version: info.version,
+      scope:
+        !roots && (info.optional || info.devOptional) ? "optional" : "required",
+      purl,
+    };
+    const hashes = getHashes(info.integrity);
+    if (hashes.length > 0) component.hashes = hashes;
+    if (typeof info.license === "string") {
+      component.licenses = [{ license: { name: info.license } }];
+    }
+    components.set(purl, component);
+  };
+
+  if (roots) {
+    collectDependencies(lockfile, roots).forEach(([name, info]) =>
+      addComponent(name, info)
+    );
+  } else if (lockfile.packages) {
+    // lockfileVersion 2 and 3: flat map keyed by install path
+    Object.entries(lockfile.packages).forEach(([key, info]) => {
+      if (key === "") return;
+      addComponent(info.name || getPackageName(key), info);
+    });
+  } else {
+    // lockfileVersion 1: nested dependency tree
+    const walk = (dependencies = {}) => {
+      Object.entries(dependencies).forEach(([name, info]) => {
+        addComponent(name, info);
+        walk(info.dependencies);
+      });
+    };
+    walk(lockfile.dependencies);
+  }
+
+  const root = (lockfile.packages && lockfile.packages[""]) || {};
+  const rootName = lockfile.name || root.name || "project";
+  const rootVersion = lockfile.version || root.version || "0.0.0";
+  // What was built, when it is not the npm project the lockfile belongs to
+  const subject = component
+    ? {
+        type: "application",
+        "bom-ref": `${component.name}@${component.version}`,
+        name: component.name,
+        version: component.version,
+      }
+    : {
+        type: "application",
+        "bom-ref": getPurl(rootName, rootVersion),
+        name: rootName,
+        version: rootVersion,
+        purl: getPurl(rootName, rootVersion),
+      };
+  const ownPackage = require("../../package.json");
+
+  return {
+    bomFormat: "CycloneDX",
+    specVersion: CYCLONEDX_SPEC_VERSION,
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: {
+        components: [
+          {
+            type: "application",
+            name: ownPackage.name,
+            version: ownPackage.version,
+          },
+        ],
+      },
+      component: subject,
+    },
+    components: [...components.values()].sort((a, b) =>
+      a.purl.localeCompare(b.purl)
+    ),
+  };
+}
+
+/**
+ * Follow the dependencies of the root packages through the lockfile,
+ * resolving each name the way require() would from the package needing it.
+ * Returns [name, info] pairs.
+ */
+function collectDependencies(lockfile, roots) {
+  const found = [];
+  const seen = new Set();
+
+  if (lockfile.packages) {
+    const visit = (fromKey, name, optional) => {
+      const key = resolvePackageKey(lockfile.packages, fromKey, name);
+      if (!key) {
+        if (optional) return;
+        throw new Error(`${name} is not in the lockfile`);
+      }
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const info = lockfile.packages[key];
+      found.push([info.name || getPackageName(key), info]);
+      Object.keys(info.dependencies || {}).forEach((dependency) =>
+        visit(key, dependency, false)
+      );
+      Object.keys(info.optionalDependencies || {}).forEach((dependency) =>
+        visit(key, dependency, true)
+      );
+    };
+    roots.forEach((name) => visit("", name, false));
+    return found;
+  }
+
+  // lockfileVersion 1: look a name up in the package's own nested
+  // dependencies first, then in each enclosing level
+  const visit = (scopes, name) => {
+    const index = scopes.findIndex((scope) => scope[name]);
+    if (index === -1) {
+      throw new Error(`${name} is not in the lockfile`);
+    }
+    const info = scopes[index][name];
+    if (seen.has(info)) return;
+    seen.add(info);
+
+    found.push([name, info]);
+    const inner = [info.dependencies || {}].concat(scopes.slice(index));
+    Object.keys(info.requires || {}).forEach((dependency) =>
+      visit(inner, dependency)
+    );
+  };
+  roots.forEach((name) => visit([lockfile.dependencies || {}], name));
+  return found;
+}
+
+// Walk up the node_modules folders from the package that needs the name
+function resolvePackageKey(packages, fromKey, name) {
+  let base = fromKey;
+  for (;;) {
+    const key = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[key]) return key;
+    if (!base) return null;
+    const index = base.lastIndexOf("/node_modules/");
+    base = index === -1 ? "" : base.slice(0, index);
+  }
+}
+
+function getPackageName(key) {
+  return key.split("node_modules/").pop();
+}
+
+// Package URL, with the @ of a scope encoded as the purl spec requires
+function getPurl(name, version) {
+  return `pkg:npm/${name.replace(/^@/, "%40")}@${encodeURIComponent(version)}`;
+}
+
+// Convert "sha512-<base64>" integrity strings into CycloneDX hashes
+function getHashes(integrity) {
+  if (!integrity) return [];
+  return integrity
+    .split(/\s+/)
+    .map((value) => value.match(/^(sha\d+)-(.+)$/))
+    .filter((match) => match && HASH_ALGORITHMS[match[1]])
+    .map((match) => ({
+      alg: HASH_ALGORITHMS[match[1]],
+      content: Buffer.from(match[2], "base64").toString("hex"),
+    }));
+}
+
+module.exports = {
+  BuildReport,
+  createSbom,
+  REPORT_FILE,
+  SBOM_FILE,
+};
@@ -0,0 +1,241 @@
+/**
+ * Authenticode signing for built executables
+ * Signs with osslsigncode (Linux, macOS and Windows) or any external command,
+ * then checks the signature
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync, execSync } = require("child_process");
+
+// Read when the config names neither passwordEnv nor passwordFile
+const DEFAULT_PASSWORD_ENV = "SIGNING_PASSWORD";
+const DEFAULT_TIMESTAMP_URL = "http://timestamp.digicert.com";
+
+/**
+ * Sign with osslsigncode and a PKCS#12 (.pfx) certificate
+ */
+class OsslSigncodeSigner {
+  constructor(settings) {
+    this.settings = settings;
+    this.tool = settings.tool || "osslsigncode";
+  }
+
+  checkAvailable() {
+    try {
+      execFileSync(this.tool, ["--version"], { stdio: "ignore" });
+    } catch (error) {
+      // Older releases exit non-zero for --version, only a missing tool counts
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `${this.tool} not found. Install it (apt install osslsigncode, brew install osslsigncode) or use the "command" signer`
+        );
+      }
+    }
+    if (!this.settings.certificatePath) {
+      throw new Error("signing.certificatePath is required for osslsigncode");
+    }
+  }
+
+  sign(filePath) {
+    const { certificatePath, description, url, timestampUrl, password } =
+      this.settings;
+    const signedPath = `${filePath}.signed`;
+    const args = ["sign", "-pkcs12", certificatePath, "-h", "sha256"];
+    if (description) args.push("-n", description);
+    if (url) args.push("-i", url);
+    if (timestampUrl) args.push("-ts", timestampUrl);
+
+    // Hand the password over in a private file so it never shows up in
+    // the process list
+    const passwordFile = password ? writePasswordFile(password) : null;
+    try {
+      if (passwordFile) args.push("-readpass", passwordFile);
+      args.push("-in", filePath, "-out", signedPath);
+      execFileSync(this.tool, args, { stdio: ["ignore", "ignore", "pipe"] });
+      fs.renameSync(signedPath, filePath);
+    } catch (error) {
+      fs.rmSync(signedPath, { force: true });
+      throw new Error(`osslsigncode failed: ${getErrorOutput(error)}`);
+    } finally {
+      if (passwordFile)
+        fs.rmSync(path.dirname(passwordFile), { recursive: true });
+    }
+  }
+
+  verify(filePath) {
+    const args = ["verify", "-in", filePath];
+    if (this.settings.caFile) args.push("-CAfile", this.settings.caFile);
+    try {
+      execFileSync(this.tool, args, { stdio: ["ignore", "ignore", "pipe"] });
+    } catch (error) {
+      throw new Error(
+        `Signature check failed for ${path.basename(
+          filePath
+        )}: ${getErrorOutput(error)}`
+      );
+    }
+  }
+}
+
+/**
+ * Sign with a command from the config, e.g. signtool or a cloud signing CLI.
+ * {file} and {certificate} are replaced in the command; the password is
+ * passed on in the SIGNING_PASSWORD environment variable
+ */
+class CommandSigner {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  checkAvailable() {
+    if (!this.settings.command) {
+      throw new Error('signing.command is required for the "command" signer');
+    }
+  }
+
+  sign(filePath) {
+    this.run(this.settings.command, filePath, "Signing command");
+  }
+
+  verify(filePath) {
+    if (this.settings.verifyCommand) {
+      this.run(this.settings.verifyCommand, filePath, "Signature check");
+    }
+  }
+
+  run(template, filePath, label) {
+    const command = template
+      .replace(/\{file\}/g, quoteArgument(filePath))
+      .replace(
+        /\{certificate\}/g,
+        quoteArgument(this.settings.certificatePath || "")
+      );
+    const env = { ...process.env };
+    if (this.settings.password) {
+      env[DEFAULT_PASSWORD_ENV] = this.settings.password;
+    }
+    try {
+      execSync(command, { stdio: ["ignore", "inherit", "pipe"], env });
+    } catch (error) {
+      throw new Error(
+        `${label} failed for ${path.basename(filePath)}: ${getErrorOutput(
+          error
+        )}`
+      );
+    }
+  }
+}
+
+const SIGNERS = {
+  osslsigncode: OsslSigncodeSigner,
+  command: CommandSigner,
+};
+
+/**
+ * Resolve the signing section of a config, or null when signing is off.
+ * Reads `signing` and falls back to the older `branding.digitalSign`
+ */
+function getSigningSettings(config) {
+  const signing =
+    config.signing || (config.branding && config.branding.digitalSign);
+  if (!signing || signing.enabled === false) {
+    return null;
+  }
+
+  if (signing.password !== undefined) {
+    throw new Error(
+      `signing.password is not read from config files, set ${
+        signing.passwordEnv || DEFAULT_PASSWORD_ENV
+      } or signing.passwordFile instead`
+    );
+  }
+
+  const signer = signing.signer || "osslsigncode";
+  if (!SIGNERS[signer]) {
+    throw new Error(
+      `Unknown signing.signer "${signer}", expected one of: ${Object.keys(
+        SIGNERS
+      ).join(", ")}`
+    );
+  }
+
+  [
+    ["certificatePath", signing.certificatePath],
+    ["passwordFile", signing.passwordFile],
+    ["caFile", signing.caFile],
+  ].forEach(([key, filePath]) => {
+    if (filePath && !fs.existsSync(filePath)) {
+      throw new Error(`signing.${key} not found: ${filePath}`);
+    }
+  });
+
+  return {
+    signer,
+    tool: signing.tool || null,
+    certificatePath: signing.certificatePath || null,
+    description: signing.description || config.appName || null,
+    url: signing.url || null,
+    timestampUrl:
+      signing.timestampUrl === undefined
+        ? DEFAULT_TIMESTAMP_URL
+        : signing.timestampUrl || null,
+    command: signing.command || null,
+    verifyCommand: signing.verifyCommand || null,
+    caFile: signing.caFile || null,
+    verify: signing.verify !== false,
+    password: readPassword(signing),
+  };
+}
+
+/**
+ * Create the signer named in the settings from getSigningSettings
+ */
+function createSigner(settings) {
+  const signer = new SIGNERS[settings.signer](settings);
+  signer.checkAvailable();
+  return signer;
+}
+
+/**
+ * Sign a file and check the result unless verification is turned off
+ */
+function signFile(signer, filePath) {
+  signer.sign(filePath);
+  if (signer.settings.verify) {
+    signer.verify(filePath);
+  }
+}
+
+function readPassword(signing) {
+  if (signing.passwordFile) {
+    return fs.readFileSync(signing.passwordFile, "utf8").replace(/\r?\n$/, "");
+  }
+  return process.env[signing.passwordEnv || DEFAULT_PASSWORD_ENV] || null;
+}
+
+function writePasswordFile(password) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "signing-"));
+  const filePath = path.join(dir, "password");
+  fs.writeFileSync(filePath, password, { mode: 0o600 });
+  return filePath;
+}
+
+function quoteArgument(value) {
+  return process.platform === "win32"
+    ? `"${value}"`
+    : `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function getErrorOutput(error) {
+  const output = error.stderr ? error.stderr.toString().trim() : "";
+  return output || error.message;
+}
+
+module.exports = {
+  SIGNERS,
+  getSigningSettings,
+  createSigner,
+  signFile,
+};
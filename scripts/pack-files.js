@@ -7,17 +7,29 @@
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { execSync } = require("child_process");
-const os = require("os");
+const { pipeline } = require("stream/promises");
 const archiver = require("archiver");
+const picomatch = require("picomatch");
+const ignore = require("ignore");
+const semver = require("semver");
+const ResEdit = require("resedit");
+const {
+  PAYLOAD_MAGIC,
+  PAYLOAD_TRAILER_SIZE,
+  METADATA_DIR,
+  MANIFEST_ENTRY,
+  getUnsafeEntryReason,
+} = require("./extractor/shared");
+const {
+  readPackageManifest,
+  findEmbeddedPayload,
+} = require("./extractor/runtime");
+const signing = require("./lib/signing");
+const { BuildReport } = require("./lib/build-report");
 // Make dependencies optional for pkg bundling compatibility
-let AdmZip, cliProgress;
-
-try {
-  AdmZip = require("adm-zip");
-} catch (e) {
-  AdmZip = null;
-}
+let cliProgress;
 
 try {
   cliProgress = require("cli-progress");
@@ -43,6 +55,51 @@ try {
   };
 }
 
+// pkg targets the extractor can be built for, e.g. node18-linux-x64
+const TARGET_PATTERN =
+  /^node\d+-(win|linux|linuxstatic|alpine|macos)-(x64|arm64)$/;
+
+// Ways the extractor can choose the install folder, tried in the configured order
+const DIRECTORY_PROVIDERS = ["cli", "env", "game", "dialog", "prompt"];
+const DEFAULT_DIRECTORY_PROVIDERS = ["cli", "env", "dialog", "prompt"];
+
+// What the installer does when a packaged file already exists at the destination
+const CONFLICT_POLICIES = [
+  "overwrite",
+  "skip",
+  "keep-newer",
+  "backup",
+  "config",
+];
+
+// Files that identify well-known dependencies when no install record names them
+const KNOWN_DEPENDENCY_FILES = {
+  BepInEx: "BepInEx/core/BepInEx.dll",
+};
+
+// What the installer can offer to do once the files are in place
+const FINISH_ACTIONS = ["open-folder", "launch"];
+
+// The extractor runtime, and the settings file the pkg entry stub passes to it
+const EXTRACTOR_RUNTIME = path.join(__dirname, "extractor", "runtime.js");
+const EXTRACTOR_SETTINGS_FILE = "extractor-settings.json";
+// Packages the runtime requires, which pkg bundles into every installer
+const EXTRACTOR_DEPENDENCIES = ["yauzl", "semver", "cli-progress"];
+
+// Windows resource types and the language/codepage branding is written in
+const RT_VERSION = 16;
+const RT_MANIFEST = 24;
+const RESOURCE_LANGUAGE = 1033;
+const UNICODE_CODEPAGE = 1200;
+
+// Per-folder exclusion rules with .gitignore syntax
+const PACKIGNORE_FILE = ".packignore";
+
+// Deterministic archives date every entry to SOURCE_DATE_EPOCH, or to the
+// earliest date a ZIP file can hold
+const ZIP_EPOCH = Date.UTC(1980, 0, 1);
+const ZIP_COMPRESSION_LEVEL = 9;
+
 class FilePacker {
   constructor(config = {}) {
     this.config = {
@@ -50,8 +107,10 @@ class FilePacker {
       version: "1.0.0",
       appName: "MyPackage",
       includeVersion: true,
+      targets: ["node18-win-x64"],
       ...config,
     };
+    this.report = null;
   }
 
   /**
@@ -61,11 +120,42 @@ class FilePacker {
     const {
       files = [],
       folders = [],
+      layout = [],
       outputName,
+      from,
       extractorTemplate = "default",
     } = options;
 
-    console.log("📦 Creating self-extracting package...");
+    console.log(
+      from
+        ? "📦 Creating self-extracting update package..."
+        : "📦 Creating self-extracting package..."
+    );
+    const report = new BuildReport("pack-files", {
+      config: this.config,
+      options: { files, folders, layout, outputName, from: from || null },
+    });
+    this.report = report;
+    this.validateTargets();
+    this.validateGameConfig();
+    this.getDirectorySettings();
+    this.getInstallerSettings();
+    this.getBrandingSettings();
+    this.getConflictPolicy();
+    this.getPackageId();
+    this.getRequirements();
+    const signer = this.createSigner();
+    if (!semver.valid(this.config.version)) {
+      this.warn(
+        `Version ${this.config.version} is not semver, installers can only tell a reinstall from a change`
+      );
+    }
+
+    // An update package only carries what changed since the base package
+    const base = from ? await this.readBaseManifest(from) : null;
+    if (base) {
+      report.addInput(from, { role: "base" });
+    }
 
     // Create temporary directory for packaging
     const tempDir = path.join(this.config.outputDir, "temp-package");
@@ -75,53 +165,506 @@ class FilePacker {
 
     // Create archive of all files
     const archivePath = path.join(tempDir, "files.zip");
-    await this.createArchive(files, folders, archivePath);
+    const entries = await report.time("archive", () =>
+      this.createArchive(files, folders, archivePath, layout, base)
+    );
+    entries.forEach((entry) => {
+      report.addInput(entry.source, { name: entry.name, sha256: entry.sha256 });
+    });
+    // The archive is only kept inside the installers, so hash it now
+    report.addArtifact(archivePath, {
+      role: "payload",
+      embedded: true,
+      size: fs.statSync(archivePath).size,
+      sha256: await this.hashFile(archivePath),
+      ...(this.config.deterministic && {
+        sourceDate: this.getSourceDate().toISOString(),
+      }),
+    });
 
-    // Package the extractor with pkg
-    const outputFileName = outputName || this.generateOutputName();
-
-    // Create the extractor executable
-    const archiveFileName = `${path.parse(outputFileName).name}_archive.zip`;
-    const extractorCode = this.generateExtractor(archivePath, archiveFileName);
-    const extractorPath = path.join(tempDir, "extractor.js");
-    fs.writeFileSync(extractorPath, extractorCode);
-    await this.createExtractorExecutable(
-      extractorPath,
-      outputFileName,
-      archivePath
+    // Create the extractor, shared by every target
+    const baseName = (outputName || this.getDefaultOutputName(base)).replace(
+      /\.exe$/i,
+      ""
     );
+    const archiveFileName = `${baseName}_archive.zip`;
+    const extractorPath = this.writeExtractor(tempDir, archiveFileName);
 
-    // Copy the archive file to the output directory alongside the executable
-    const finalArchivePath = path.join(
-      this.config.outputDir,
-      `${path.parse(outputFileName).name}_archive.zip`
+    this.installPkg();
+    report.addToolVersions(
+      signer && signer.tool ? ["pkg", signer.tool] : ["pkg"]
     );
-    fs.copyFileSync(archivePath, finalArchivePath);
+
+    // Package one extractor per platform
+    const outputFileNames = [];
+    for (const target of this.config.targets) {
+      const outputFileName = this.getTargetOutputName(baseName, target);
+      const executablePath = await report.time(`pkg ${target}`, () =>
+        this.createExtractorExecutable(extractorPath, outputFileName, target)
+      );
+
+      // Append the archive to the executable so it ships as a single file
+      await report.time(`embed ${target}`, () =>
+        this.embedPayload(executablePath, archivePath)
+      );
+
+      // Sign last, the signature covers the payload too
+      const signed = Boolean(signer && this.isWindowsTarget(target));
+      if (signed) {
+        await report.time(`sign ${target}`, () =>
+          this.signExecutable(signer, executablePath)
+        );
+      }
+      report.addArtifact(executablePath, { target, role: "installer", signed });
+      report.addArtifact(this.getWrapperPath(executablePath, target), {
+        target,
+        role: "console-wrapper",
+      });
+      outputFileNames.push(path.basename(executablePath));
+    }
 
     // Cleanup temp directory
     this.cleanup(tempDir);
 
-    console.log(`✅ Created self-extracting package: ${outputFileName}`);
+    // The installer bundles the runtime and the packages it requires, not
+    // everything this toolkit depends on
+    report.addSbom(path.join(__dirname, ".."), {
+      roots: EXTRACTOR_DEPENDENCIES,
+      component: { name: this.config.appName, version: this.config.version },
+    });
+    await report.write(this.config.outputDir);
+    this.report = null;
+
+    outputFileNames.forEach((name) => {
+      console.log(`✅ Created self-extracting package: ${name}`);
+    });
+  }
+
+  /**
+   * Work out what packFiles would do without archiving or writing anything
+   */
+  async planPackage(options = {}) {
+    const { files = [], folders = [], layout = [], outputName, from } = options;
+    const plan = {
+      appName: this.config.appName,
+      version: this.config.version,
+      update: null,
+      entries: [],
+      totalSize: 0,
+      missing: [],
+      errors: [],
+    };
+
+    files
+      .filter((file) => !fs.existsSync(file))
+      .forEach((file) => plan.missing.push({ type: "file", path: file }));
+    folders
+      .filter((folder) => !fs.existsSync(folder))
+      .forEach((folder) => plan.missing.push({ type: "folder", path: folder }));
+
+    let targetsValid = true;
+    let base = null;
+    try {
+      this.validateTargets();
+    } catch (error) {
+      plan.errors.push(error.message);
+      targetsValid = false;
+    }
+
+    try {
+      this.validateGameConfig();
+      this.getDirectorySettings();
+      this.getInstallerSettings();
+      this.getBrandingSettings();
+      this.getSigningSettings();
+      this.getPackageId();
+      this.getRequirements();
+      const getConflictPolicy = this.getConflictPolicy();
+      let entries = this.resolveEntries(files, folders, layout);
+
+      // An update only lists what changed, which takes hashing every file
+      base = from ? await this.readBaseManifest(from) : null;
+      if (base) {
+        for (const entry of entries) {
+          entry.sha256 = await this.hashFile(entry.source);
+        }
+        const diff = this.diffAgainstBase(entries, base);
+        entries = diff.entries;
+        plan.update = { ...diff.update, ...diff.counts };
+      }
+
+      plan.entries = entries.map((entry) => ({
+        name: entry.name,
+        source: entry.source,
+        size: entry.size,
+        conflict: getConflictPolicy(entry.name),
+      }));
+    } catch (error) {
+      plan.errors.push(error.message);
+    }
+    plan.totalSize = plan.entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    const baseName = (outputName || this.getDefaultOutputName(base)).replace(
+      /\.exe$/i,
+      ""
+    );
+    const extractorPath = path.join(
+      this.config.outputDir,
+      "temp-package",
+      "extractor.js"
+    );
+    let signer = null;
+    try {
+      const settings = this.getSigningSettings();
+      signer = settings && settings.signer;
+    } catch (error) {
+      // Already reported above
+    }
+    const targets = targetsValid ? this.config.targets : [];
+    plan.outputs = targets.map((target) => {
+      const { outputPath, executablePath } = this.getOutputPaths(
+        this.getTargetOutputName(baseName, target),
+        target
+      );
+      return {
+        target,
+        outputName: path.basename(executablePath),
+        outputPath: executablePath,
+        signer: this.isWindowsTarget(target) ? signer : null,
+        pkgCommand: this.buildPkgCommand(
+          extractorPath,
+          outputPath,
+          target
+        ).join(" "),
+      };
+    });
+
+    return plan;
+  }
+
+  /**
+   * Print a plan from planPackage as a readable table
+   */
+  printPlan(plan) {
+    console.log("📋 Dry run - nothing will be built or written\n");
+    console.log(`📦 ${plan.appName} ${plan.version}`);
+    if (plan.update) {
+      const { baseVersion, added, changed, deletions, unchanged } = plan.update;
+      console.log(
+        `🔀 Update from ${baseVersion}: ${added} added, ${changed} changed, ${deletions.length} removed, ${unchanged} unchanged`
+      );
+    }
+    console.log(`\n📁 Archive entries (${plan.entries.length}):`);
+
+    const sizes = plan.entries.map((entry) => this.formatBytes(entry.size));
+    const sizeWidth = Math.max(4, ...sizes.map((size) => size.length));
+    const nameWidth = Math.max(
+      5,
+      ...plan.entries.map((entry) => entry.name.length)
+    );
+    console.log(
+      `   ${"Size".padStart(sizeWidth)}  ${"Entry".padEnd(nameWidth)}  Source`
+    );
+    plan.entries.forEach((entry, index) => {
+      // Only call out files that are not simply overwritten
+      const conflict =
+        entry.conflict === "overwrite" ? "" : `  [${entry.conflict}]`;
+      console.log(
+        `   ${sizes[index].padStart(sizeWidth)}  ${entry.name.padEnd(
+          nameWidth
+        )}  ${entry.source}${conflict}`
+      );
+    });
+    console.log(
+      `\n📏 Total uncompressed size: ${this.formatBytes(plan.totalSize)}`
+    );
+
+    if (plan.update && plan.update.deletions.length > 0) {
+      console.log(
+        `\n🗑️  Removed since ${plan.update.baseVersion} (${plan.update.deletions.length}):`
+      );
+      plan.update.deletions.forEach((file) => console.log(`   - ${file.path}`));
+    }
+
+    if (plan.missing.length > 0) {
+      console.log("\n⚠️  Missing inputs (skipped):");
+      plan.missing.forEach((item) => {
+        console.log(`   - ${item.type}: ${item.path}`);
+      });
+    }
+
+    if (plan.errors.length > 0) {
+      console.log("\n❌ The build would fail:");
+      plan.errors.forEach((message) => console.log(`   ${message}`));
+    }
+
+    plan.outputs.forEach((output) => {
+      console.log(`\n📄 Output (${output.target}): ${output.outputPath}`);
+      console.log(`🔧 pkg command: ${output.pkgCommand}`);
+      if (output.signer) {
+        console.log(`🔏 Signed with ${output.signer}`);
+      }
+    });
+  }
+
+  /**
+   * Resolve how the extractor chooses the install folder, with defaults
+   */
+  getDirectorySettings() {
+    const { directory = {} } = this.config;
+    const providers = directory.providers || DEFAULT_DIRECTORY_PROVIDERS;
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error("directory.providers must be a non-empty array");
+    }
+
+    const unknown = providers.filter(
+      (name) => !DIRECTORY_PROVIDERS.includes(name)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown directory providers: ${unknown.join(
+          ", "
+        )} (expected ${DIRECTORY_PROVIDERS.join(", ")})`
+      );
+    }
+
+    // MyMod -> MYMOD_INSTALL_DIR unless the config names the variable
+    const prefix = this.sanitizeFileName(this.config.appName)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, "_")
+      .replace(/^(?=\d)/, "_");
+    const envVar = directory.envVar || `${prefix}_INSTALL_DIR`;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(envVar)) {
+      throw new Error(
+        `directory.envVar is not a valid variable name: ${envVar}`
+      );
+    }
+
+    return { providers, envVar };
+  }
+
+  /**
+   * Resolve the installer text and finish action, reading the license file if set
+   */
+  getInstallerSettings() {
+    const { installer = {} } = this.config;
+    const text = (key) => {
+      const value = installer[key];
+      if (value !== undefined && typeof value !== "string") {
+        throw new Error(`installer.${key} must be a string`);
+      }
+      return value || null;
+    };
+
+    let license = text("license");
+    const licenseFile = text("licenseFile");
+    if (license && licenseFile) {
+      throw new Error("Set either installer.license or installer.licenseFile");
+    }
+    if (licenseFile) {
+      if (!fs.existsSync(licenseFile)) {
+        throw new Error(`License file not found: ${licenseFile}`);
+      }
+      license = fs.readFileSync(licenseFile, "utf8").replace(/^\uFEFF/, "");
+    }
+
+    const { allowDowngrade = true } = installer;
+    if (typeof allowDowngrade !== "boolean") {
+      throw new Error("installer.allowDowngrade must be true or false");
+    }
+
+    const targetHints = installer.targetHints || [];
+    if (
+      !Array.isArray(targetHints) ||
+      targetHints.some((hint) => typeof hint !== "string")
+    ) {
+      throw new Error("installer.targetHints must be an array of strings");
+    }
+
+    return {
+      title: text("title") || `${this.config.appName} Installer`,
+      welcome: text("welcome"),
+      license,
+      targetHints,
+      completion: text("completion"),
+      finishAction: this.getFinishAction(installer.finishAction),
+      allowDowngrade,
+    };
+  }
+
+  /**
+   * Resolve the "requires" section: a version range per package, optionally
+   * with a file that proves it is installed
+   */
+  getRequirements() {
+    const { requires = {} } = this.config;
+    if (!requires || typeof requires !== "object" || Array.isArray(requires)) {
+      throw new Error("requires must map package names to version ranges");
+    }
+
+    return Object.entries(requires).map(([name, requirement]) => {
+      const { range, file } =
+        typeof requirement === "string" ? { range: requirement } : requirement;
+      if (!semver.validRange(range)) {
+        throw new Error(
+          `requires.${name} has an invalid version range: ${range}`
+        );
+      }
+      if (
+        file !== undefined &&
+        (typeof file !== "string" || getUnsafeEntryReason(file))
+      ) {
+        throw new Error(
+          `requires.${name}.file must be a relative path inside the game folder: ${file}`
+        );
+      }
+      return {
+        name,
+        range,
+        file: file || KNOWN_DEPENDENCY_FILES[name] || null,
+      };
+    });
+  }
+
+  /**
+   * Stable id written to install records, the app name unless configured
+   */
+  getPackageId() {
+    const { packageId } = this.config;
+    if (
+      packageId !== undefined &&
+      (typeof packageId !== "string" || !packageId)
+    ) {
+      throw new Error("packageId must be a non-empty string");
+    }
+    return (
+      packageId || this.sanitizeFileName(this.config.appName).toLowerCase()
+    );
+  }
+
+  /**
+   * Check the optional action offered after a successful install
+   */
+  getFinishAction(action) {
+    if (!action) return null;
+
+    if (!FINISH_ACTIONS.includes(action.type)) {
+      throw new Error(
+        `installer.finishAction.type must be one of ${FINISH_ACTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    if (action.type === "open-folder") {
+      return {
+        type: action.type,
+        label: action.label || "Open the install folder",
+      };
+    }
+
+    // Launch a file in the install folder, or the game it was installed into
+    const { game } = this.config;
+    const file = action.path || (game && game.markerFile);
+    if (!file) {
+      throw new Error(
+        "installer.finishAction needs a path, or a game.markerFile to launch"
+      );
+    }
+    if (action.path && getUnsafeEntryReason(action.path)) {
+      throw new Error(
+        `installer.finishAction.path must be a relative path: ${action.path}`
+      );
+    }
+    return {
+      type: action.type,
+      path: action.path || null,
+      label:
+        action.label ||
+        `Launch ${action.path ? path.basename(file) : game.name || file}`,
+    };
+  }
+
+  /**
+   * Check the pkg targets before building
+   */
+  validateTargets() {
+    const { targets } = this.config;
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error("targets must be a non-empty array of pkg targets");
+    }
+
+    const invalid = targets.filter((target) => !TARGET_PATTERN.test(target));
+    if (invalid.length > 0) {
+      throw new Error(
+        `Unsupported targets: ${invalid.join(
+          ", "
+        )} (expected e.g. node18-win-x64, node18-linux-x64, node18-macos-arm64)`
+      );
+    }
+  }
+
+  isWindowsTarget(target) {
+    return TARGET_PATTERN.exec(target)[1] === "win";
+  }
+
+  /**
+   * Check the optional game detection settings before building
+   */
+  validateGameConfig() {
+    const { game } = this.config;
+    if (!game) return;
+
+    if (!game.steamAppId && !game.folderName && !game.markerFile) {
+      throw new Error(
+        "game needs at least one of steamAppId, folderName or markerFile"
+      );
+    }
+    if (game.subpath && getUnsafeEntryReason(game.subpath)) {
+      throw new Error(
+        `game.subpath must be a relative path inside the game folder: ${game.subpath}`
+      );
+    }
   }
 
   /**
    * Create ZIP archive of files and folders
    */
-  async createArchive(files, folders, outputPath) {
+  async createArchive(files, folders, outputPath, layout = [], base = null) {
+    let entries = this.resolveEntries(files, folders, layout);
+
+    // Folder listing order depends on the filesystem, entry order must not
+    const deterministic = Boolean(this.config.deterministic);
+    const sourceDate = deterministic ? this.getSourceDate() : null;
+    if (deterministic) {
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    // Hash every file up front so the manifest can go into the archive
+    console.log(`🔐 Hashing ${entries.length} files...`);
+    for (const entry of entries) {
+      entry.sha256 = await this.hashFile(entry.source);
+    }
+
+    let update;
+    if (base) {
+      const diff = this.diffAgainstBase(entries, base);
+      ({ entries, update } = diff);
+      console.log(
+        `🔀 Update from ${base.version}: ${diff.counts.added} added, ${diff.counts.changed} changed, ${update.deletions.length} removed, ${diff.counts.unchanged} unchanged`
+      );
+    }
+    const manifest = this.createManifest(entries, update);
+
     return new Promise((resolve, reject) => {
       const output = fs.createWriteStream(outputPath);
-      const archive = archiver("zip", { zlib: { level: 9 } });
+      const archive = archiver("zip", {
+        zlib: { level: ZIP_COMPRESSION_LEVEL },
+        // Parallel stat calls can finish out of order and reorder entries
+        ...(deterministic && { statConcurrency: 1 }),
+      });
 
       // Count total files for progress tracking
-      let totalFiles = 0;
-      files.forEach((file) => {
-        if (fs.existsSync(file)) totalFiles++;
-      });
-      folders.forEach((folder) => {
-        if (fs.existsSync(folder)) {
-          totalFiles += this.countFilesInDirectory(folder);
-        }
-      });
+      const totalFiles = entries.length;
 
       // Create progress bar (with fallback if cliProgress not available)
       let progressBar = null;
@@ -147,19 +690,9 @@ class FilePacker {
         if (totalFiles > 0 && progressBar) {
           progressBar.stop();
         }
-        const bytes = archive.pointer();
-        const sizeStr =
-          bytes === 0
-            ? "0 Bytes"
-            : bytes < 1024
-            ? bytes + " Bytes"
-            : bytes < 1024 * 1024
-            ? (bytes / 1024).toFixed(2) + " KB"
-            : bytes < 1024 * 1024 * 1024
-            ? (bytes / (1024 * 1024)).toFixed(2) + " MB"
-            : (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB";
+        const sizeStr = this.formatBytes(archive.pointer());
         console.log(`\n📁 Archive created: ${sizeStr}`);
-        resolve();
+        resolve(entries);
       });
 
       archive.on("error", (err) => {
@@ -170,6 +703,7 @@ class FilePacker {
       });
 
       archive.on("entry", (entry) => {
+        if (entry.name === MANIFEST_ENTRY) return;
         processedFiles++;
         if (totalFiles > 0 && progressBar) {
           progressBar.update(processedFiles);
@@ -178,766 +712,657 @@ class FilePacker {
 
       archive.pipe(output);
 
-      // Add individual files
-      files.forEach((file) => {
-        if (fs.existsSync(file)) {
-          const fileName = path.basename(file);
-          archive.file(file, { name: fileName });
-        }
+      entries.forEach((entry) => {
+        archive.file(entry.source, {
+          name: entry.name,
+          ...(deterministic && {
+            date: sourceDate,
+            mode: this.getNormalizedMode(entry.source),
+          }),
+        });
       });
 
-      // Add folders
-      folders.forEach((folder) => {
-        if (fs.existsSync(folder)) {
-          const folderName = path.basename(folder);
-          archive.directory(folder, folderName);
-        }
+      archive.append(JSON.stringify(manifest, null, 2), {
+        name: MANIFEST_ENTRY,
+        ...(deterministic && { date: sourceDate, mode: 0o644 }),
       });
 
       archive.finalize();
     });
   }
 
-  countFilesInDirectory(dirPath) {
-    let count = 0;
-    try {
-      const items = fs.readdirSync(dirPath);
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item);
-        const stat = fs.statSync(fullPath);
-        if (stat.isDirectory()) {
-          count += this.countFilesInDirectory(fullPath);
-        } else {
-          count++;
-        }
+  /**
+   * Resolve files, folders and layout mappings into checked archive entries
+   */
+  resolveEntries(files, folders, layout = []) {
+    const entries = this.collectEntries(files, folders).concat(
+      this.collectLayoutEntries(layout)
+    );
+    this.validateEntries(entries);
+    return entries;
+  }
+
+  /**
+   * Resolve files and folders into the list of archive entries
+   */
+  collectEntries(files, folders) {
+    const entries = [];
+
+    // Individual files go to the archive root
+    files.forEach((file) => {
+      if (fs.existsSync(file)) {
+        entries.push(this.createEntry(file, path.basename(file)));
       }
-    } catch (error) {
-      // Ignore errors when counting files
+    });
+
+    // Folders keep their name and inner structure
+    folders.forEach((folder) => {
+      if (fs.existsSync(folder)) {
+        const folderName = path.basename(folder);
+        this.listFilesInDirectory(folder).forEach((file) => {
+          const relativePath = path
+            .relative(folder, file)
+            .split(path.sep)
+            .join("/");
+          entries.push(this.createEntry(file, `${folderName}/${relativePath}`));
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Expand layout mappings into entries relative to the install folder
+   */
+  collectLayoutEntries(layout) {
+    if (!Array.isArray(layout)) {
+      throw new Error("layout must be an array of { from, to } mappings");
     }
-    return count;
+
+    const entries = [];
+    layout.forEach((mapping, index) => {
+      const label = `layout[${index}]`;
+      if (!mapping || typeof mapping.from !== "string" || !mapping.from) {
+        throw new Error(`${label} needs a "from" file, folder or glob`);
+      }
+      if (typeof mapping.to !== "string") {
+        throw new Error(
+          `${label} needs a "to" folder inside the install folder`
+        );
+      }
+      if (mapping.to && getUnsafeEntryReason(mapping.to)) {
+        throw new Error(
+          `${label}.to must be a relative path inside the install folder: ${mapping.to}`
+        );
+      }
+
+      const matches = this.expandLayoutSource(mapping.from);
+      if (matches.length === 0) {
+        throw new Error(`${label}.from matched no files: ${mapping.from}`);
+      }
+
+      if (mapping.rename !== undefined) {
+        if (matches.length !== 1) {
+          throw new Error(
+            `${label}.rename needs "from" to match a single file, but it matched ${matches.length}`
+          );
+        }
+        if (
+          typeof mapping.rename !== "string" ||
+          /[\\/]/.test(mapping.rename) ||
+          getUnsafeEntryReason(mapping.rename)
+        ) {
+          throw new Error(`${label}.rename must be a plain file name`);
+        }
+        matches[0].relativePath = mapping.rename;
+      }
+
+      const destination = this.normalizeLayoutPath(mapping.to);
+      if (this.isMetadataPath(destination)) {
+        throw new Error(
+          `${label}.to cannot be inside ${METADATA_DIR}/, the installer keeps its own files there`
+        );
+      }
+      matches.forEach((match) => {
+        const name = destination
+          ? `${destination}/${match.relativePath}`
+          : match.relativePath;
+        const entry = this.createEntry(match.source, name);
+        entry.destination = destination;
+        entries.push(entry);
+      });
+    });
+
+    return entries;
   }
 
   /**
-   * Generate the extractor Node.js code
+   * List the files a layout source refers to, with their path below it.
+   * Folders keep their inner structure, globs keep the part after their base.
    */
-  generateExtractor(archivePath, archiveFileName) {
-    return `
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { execSync } = require('child_process');
-// Make dependencies optional for pkg bundling
-let cliProgress, ora;
+  expandLayoutSource(source) {
+    const toPosix = (base, file) =>
+      path.relative(base, file).split(path.sep).join("/");
+    const scan = picomatch.scan(source);
+
+    if (!scan.isGlob) {
+      if (!fs.existsSync(source)) return [];
+      if (fs.statSync(source).isDirectory()) {
+        return this.listFilesInDirectory(source).map((file) => ({
+          source: file,
+          relativePath: toPosix(source, file),
+        }));
+      }
+      return [{ source, relativePath: path.basename(source) }];
+    }
 
-try {
-  cliProgress = require('cli-progress');
-} catch (error) {
-  cliProgress = null;
-}
+    const base = scan.base || ".";
+    const isMatch = picomatch(scan.glob, { dot: true });
+    return this.listFilesInDirectory(base)
+      .map((file) => ({ source: file, relativePath: toPosix(base, file) }))
+      .filter((match) => isMatch(match.relativePath));
+  }
 
-try {
-  const oraModule = require('ora');
-  ora = oraModule.default || oraModule;
-} catch (error) {
-  // ora not available, use simple console logging instead
-  ora = {
-    start: (text) => ({ text, succeed: (msg) => console.log(msg), fail: (msg) => console.log(msg) })
-  };
-}
+  normalizeLayoutPath(destination) {
+    return destination
+      .split(/[\\/]+/)
+      .filter((segment) => segment && segment !== ".")
+      .join("/");
+  }
 
-// Look for the archive file alongside the executable
-const archiveFileName = '${archiveFileName}';
+  /**
+   * Refuse to build a package the extractor would reject
+   */
+  validateEntries(entries) {
+    // Windows paths are case-insensitive, so "A.dll" and "a.dll" collide
+    const seen = new Map();
+    const duplicates = [];
+    entries.forEach((entry) => {
+      const key = entry.name.toLowerCase();
+      if (seen.has(key)) {
+        duplicates.push(
+          `  - ${entry.name} (${seen.get(key).source} and ${entry.source})`
+        );
+      } else {
+        seen.set(key, entry);
+      }
+    });
+    if (duplicates.length > 0) {
+      throw new Error(
+        `Several files map to the same destination:\n${duplicates.join("\n")}`
+      );
+    }
 
-function showMessage(message) {
-  console.log('\\n' + '='.repeat(50));
-  console.log(message);
-  console.log('='.repeat(50));
-}
+    // The installer never extracts its metadata folder, so files there
+    // would be missing after every install
+    const reserved = entries.filter((entry) => this.isMetadataPath(entry.name));
+    if (reserved.length > 0) {
+      const details = reserved
+        .map((entry) => `  - ${entry.name} (${entry.source})`)
+        .join("\n");
+      throw new Error(
+        `${METADATA_DIR}/ is reserved for the installer, move these files elsewhere:\n${details}`
+      );
+    }
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
+    // archiver stores links as link entries, which the installer refuses
+    const links = entries.filter((entry) =>
+      fs.lstatSync(entry.source).isSymbolicLink()
+    );
+    if (links.length > 0) {
+      const details = links
+        .map((entry) => `  - ${entry.name} (${entry.source})`)
+        .join("\n");
+      throw new Error(
+        `Symbolic links cannot be packed, replace them with the files they point to:\n${details}`
+      );
+    }
 
-function selectDirectory() {
-  console.log('\\n📁 File Extractor');
-  console.log('==================');
-  
-  try {
-    console.log('\\n🖱️  Opening folder selection dialog...');
-    
-    // Try to use a native GUI dialog first
-    const guiResult = showNativeFolderDialog();
-    if (guiResult) {
-      console.log(\`\\n✅ Selected directory: \${guiResult}\`);
-      return guiResult;
-    }
-    
-    // Fallback to batch file approach
-    console.log('\\n📂 Falling back to text input dialog...');
-    return getInteractiveInput();
-    
-  } catch (error) {
-    console.log(\`\\n⚠️  GUI dialog failed: \${error.message}\`);
-    console.log('\\n📂 Falling back to text input dialog...');
-    return getInteractiveInput();
+    const unsafe = entries
+      .map((entry) => ({ entry, reason: getUnsafeEntryReason(entry.name) }))
+      .filter((item) => item.reason);
+
+    if (unsafe.length > 0) {
+      const details = unsafe
+        .map(
+          (item) =>
+            `  - ${item.entry.name} (${item.entry.source}): ${item.reason}`
+        )
+        .join("\n");
+      throw new Error(`Unsafe archive entries:\n${details}`);
+    }
   }
-}
 
-function showNativeFolderDialog() {
-  // Create a simple HTML-based dialog using Windows' built-in capabilities
-  const dialogScript = \`
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Select Installation Directory</title>
-    <style>
-        body { font-family: Arial, sans-serif; padding: 20px; background: #f0f0f0; }
-        .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 600px; margin: 0 auto; }
-        h1 { color: #333; text-align: center; margin-bottom: 20px; }
-        .info { background: #e7f3ff; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3; }
-        .warning { background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107; }
-        .path-input { width: 100%; padding: 10px; border: 2px solid #ddd; border-radius: 5px; font-size: 14px; margin: 10px 0; }
-        .btn { background: #4CAF50; color: white; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px; margin: 10px 5px; }
-        .btn:hover { background: #45a049; }
-        .btn-secondary { background: #6c757d; }
-        .btn-secondary:hover { background: #5a6268; }
-        .examples { background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; }
-        .examples code { background: #e9ecef; padding: 2px 6px; border-radius: 3px; font-family: monospace; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>📁 Select Installation Directory</h1>
-        
-        <div class="info">
-            <strong>IMPORTANT:</strong> Please select the folder where you want to install the mod files.
-            For BepInEx mods, this should be your game's <code>BepInEx/plugins</code> folder.
-        </div>
-        
-        <div class="examples">
-            <strong>Common game directories:</strong><br>
-            <code>C:\\Program Files (x86)\\Steam\\steamapps\\common\\[GameName]\\BepInEx\\plugins</code><br>
-            <code>C:\\Program Files\\Steam\\steamapps\\common\\[GameName]\\BepInEx\\plugins</code><br>
-            <code>C:\\Program Files (x86)\\Epic Games\\[GameName]\\BepInEx\\plugins</code><br>
-            <code>D:\\Games\\[GameName]\\BepInEx\\plugins</code>
-        </div>
-        
-        <input type="text" id="pathInput" class="path-input" placeholder="Enter the full path to your game's BepInEx/plugins folder...">
-        
-        <div style="text-align: center;">
-            <button class="btn" onclick="selectPath()">📁 Browse for Folder</button>
-            <button class="btn btn-secondary" onclick="useDefault()">Use Desktop</button>
-        </div>
-        
-        <div class="warning">
-            <strong>Note:</strong> Using Desktop is not recommended for game mods. The mod may not work correctly.
-        </div>
-    </div>
-    
-    <script>
-        // Set default path
-        document.getElementById('pathInput').value = 'C:\\\\Users\\\\' + (process.env.USERNAME || 'User') + '\\\\Desktop';
-        
-        function selectPath() {
-            const { dialog } = require('electron');
-            const selectedPath = dialog.showOpenDialogSync({
-                title: 'Select Installation Directory',
-                properties: ['openDirectory', 'createDirectory'],
-                defaultPath: document.getElementById('pathInput').value
-            });
-            
-            if (selectedPath && selectedPath.length > 0) {
-                document.getElementById('pathInput').value = selectedPath[0];
-                document.getElementById('result').value = selectedPath[0];
-                setTimeout(() => {
-                    window.close();
-                }, 500);
-            }
-        }
-        
-        function useDefault() {
-            const desktopPath = 'C:\\\\Users\\\\' + (process.env.USERNAME || 'User') + '\\\\Desktop';
-            document.getElementById('pathInput').value = desktopPath;
-            document.getElementById('result').value = desktopPath;
-            setTimeout(() => {
-                window.close();
-            }, 500);
+  // Case-insensitive, as .Installer and .installer are one folder on Windows
+  isMetadataPath(name) {
+    const lowerName = name.toLowerCase();
+    return (
+      lowerName === METADATA_DIR || lowerName.startsWith(`${METADATA_DIR}/`)
+    );
+  }
+
+  createEntry(source, name) {
+    return { source, name, size: fs.lstatSync(source).size };
+  }
+
+  /**
+   * Build the install manifest stored inside the archive
+   */
+  createManifest(entries, update) {
+    const getConflictPolicy = this.getConflictPolicy();
+
+    // Number of files each layout destination receives
+    const layout = [];
+    entries
+      .filter((entry) => entry.destination !== undefined)
+      .forEach((entry) => {
+        const existing = layout.find((item) => item.to === entry.destination);
+        if (existing) {
+          existing.files++;
+        } else {
+          layout.push({ to: entry.destination, files: 1 });
         }
-        
-        // Handle Enter key
-        document.getElementById('pathInput').addEventListener('keypress', function(e) {
-            if (e.key === 'Enter') {
-                document.getElementById('result').value = this.value;
-                setTimeout(() => {
-                    window.close();
-                }, 500);
-            }
-        });
-    </script>
-    
-    <input type="hidden" id="result" value="">
-</body>
-</html>
-\`;
-  
-  // For now, let's use a simpler approach that works better with pkg
-  // We'll create a Windows Script Host dialog instead
-  const vbsScript = \`
-Set objShell = CreateObject("Shell.Application")
-Set objFolder = objShell.BrowseForFolder(0, "Select folder to extract files to:", 0)
-
-If objFolder Is Nothing Then
-    WScript.Echo "C:\\\\Users\\\\" & CreateObject("WScript.Network").UserName & "\\\\Desktop"
-Else
-    WScript.Echo objFolder.Self.Path
-End If
-\`;
-
-  try {
-    const tempVbsFile = path.join(os.tmpdir(), \`folder-dialog-\${Date.now()}.vbs\`);
-    fs.writeFileSync(tempVbsFile, vbsScript);
-    
-    const result = execSync(\`cscript //nologo "\${tempVbsFile}"\`, { 
-      encoding: 'utf8',
-      timeout: 60000
-    }).trim();
-    
-    // Clean up
-    if (fs.existsSync(tempVbsFile)) {
-      fs.unlinkSync(tempVbsFile);
-    }
-    
-    if (result && result.length > 0 && fs.existsSync(result)) {
-      return result;
-    }
-    
-    return null;
-    
-  } catch (error) {
-    console.log(\`\\n⚠️  Native dialog failed: \${error.message}\`);
-    return null;
+      });
+
+    return {
+      formatVersion: 1,
+      appName: this.config.appName,
+      version: this.config.version,
+      layout,
+      files: entries.map((entry) => ({
+        path: entry.name,
+        size: entry.size,
+        sha256: entry.sha256,
+        conflict: getConflictPolicy(entry.name),
+      })),
+      // Tells the installer the entry dates are fixed, not file times
+      ...(this.config.deterministic && { deterministic: true }),
+      // Present only in update packages
+      ...(update && { update }),
+    };
   }
-}
 
-function getInteractiveInput() {
-  // Fallback to batch file input method when PowerShell dialog fails
-  const tempDir = os.tmpdir();
-  const batchFile = path.join(tempDir, \`folder-select-\${Date.now()}.bat\`);
-  const resultFile = path.join(tempDir, \`folder-result-\${Date.now()}.txt\`);
-  
-  const batchContent = \`@echo off
-setlocal EnableDelayedExpansion
+  /**
+   * Read the manifest of the package an update is built against
+   */
+  async readBaseManifest(basePath) {
+    if (!fs.existsSync(basePath)) {
+      throw new Error(`Base package not found: ${basePath}`);
+    }
 
-echo.
-echo ========================================
-echo    Folder Selection for File Extractor
-echo ========================================
-echo.
-echo IMPORTANT: You need to specify WHERE to extract the mod files!
-echo.
-echo Please enter the full path where you want to extract the files.
-echo.
-echo Common game directories:
-echo   C:\\\\Program Files ^(x86^)\\\\Steam\\\\steamapps\\\\common\\\\[GameName]\\\\BepInEx\\\\plugins
-echo   C:\\\\Program Files\\\\Steam\\\\steamapps\\\\common\\\\[GameName]\\\\BepInEx\\\\plugins
-echo   C:\\\\Program Files ^(x86^)\\\\Epic Games\\\\[GameName]\\\\BepInEx\\\\plugins
-echo   D:\\\\Games\\\\[GameName]\\\\BepInEx\\\\plugins
-echo.
-echo You can:
-echo   - Type the full path (RECOMMENDED)
-echo   - Drag and drop a folder here
-echo   - Press Enter for Desktop (NOT RECOMMENDED)
-echo.
+    const manifest = await readPackageManifest(basePath);
+    if (!manifest) {
+      throw new Error(
+        `${basePath} has no manifest, rebuild it with this version of pack-files first`
+      );
+    }
+    if (manifest.update) {
+      throw new Error(
+        `${basePath} is an update package, build updates against a full package`
+      );
+    }
+    if (manifest.appName !== this.config.appName) {
+      throw new Error(
+        `${basePath} is a package for ${manifest.appName}, not ${this.config.appName}`
+      );
+    }
+    if (manifest.version === this.config.version) {
+      throw new Error(
+        `${basePath} is already version ${manifest.version}, set a new version for the update`
+      );
+    }
+    return manifest;
+  }
+
+  /**
+   * Keep only the entries that are new or changed since the base package,
+   * and list the base files that are gone
+   */
+  diffAgainstBase(entries, base) {
+    const baseFiles = new Map(base.files.map((file) => [file.path, file]));
+    const names = new Set(entries.map((entry) => entry.name));
+
+    const added = entries.filter((entry) => !baseFiles.has(entry.name));
+    const changed = entries.filter(
+      (entry) =>
+        baseFiles.has(entry.name) &&
+        baseFiles.get(entry.name).sha256 !== entry.sha256
+    );
+    // Removed files keep their base hash and policy, so the installer can
+    // tell whether the user changed them since
+    const deletions = base.files
+      .filter((file) => !names.has(file.path))
+      .map(({ path: filePath, size, sha256, conflict }) => ({
+        path: filePath,
+        size,
+        sha256,
+        conflict,
+      }));
+
+    const packed = new Set(added.concat(changed));
+    return {
+      entries: entries.filter((entry) => packed.has(entry)),
+      update: { baseVersion: base.version, deletions },
+      counts: {
+        added: added.length,
+        changed: changed.length,
+        unchanged: entries.length - added.length - changed.length,
+      },
+    };
+  }
+
+  /**
+   * Build the lookup for what the installer does with a file that already
+   * exists: the first matching rule wins, then the default policy
+   */
+  getConflictPolicy() {
+    const { conflicts = {} } = this.config;
+    const { default: defaultPolicy = "overwrite", rules = [] } = conflicts;
+    const checkPolicy = (policy, key) => {
+      if (!CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(
+          `${key} must be one of ${CONFLICT_POLICIES.join(", ")}: ${policy}`
+        );
+      }
+      // Every entry of a deterministic archive carries the same date
+      if (policy === "keep-newer" && this.config.deterministic) {
+        throw new Error(
+          `${key} cannot be keep-newer in a deterministic build, entry dates are fixed`
+        );
+      }
+    };
+
+    checkPolicy(defaultPolicy, "conflicts.default");
+    if (!Array.isArray(rules)) {
+      throw new Error("conflicts.rules must be an array");
+    }
+    const matchers = rules.map((rule, index) => {
+      if (!rule || typeof rule.match !== "string") {
+        throw new Error(`conflicts.rules[${index}] needs a "match" glob`);
+      }
+      checkPolicy(rule.policy, `conflicts.rules[${index}].policy`);
+      return {
+        isMatch: picomatch(rule.match, { dot: true, basename: true }),
+        policy: rule.policy,
+      };
+    });
+
+    return (entryName) => {
+      const rule = matchers.find((matcher) => matcher.isMatch(entryName));
+      return rule ? rule.policy : defaultPolicy;
+    };
+  }
+
+  /**
+   * Date for every entry of a deterministic archive, from SOURCE_DATE_EPOCH
+   */
+  getSourceDate() {
+    const epoch = process.env.SOURCE_DATE_EPOCH;
+    if (epoch === undefined || epoch === "") {
+      return new Date(ZIP_EPOCH);
+    }
+    if (!/^\d+$/.test(epoch)) {
+      throw new Error(
+        `SOURCE_DATE_EPOCH must be a Unix timestamp in seconds, got "${epoch}"`
+      );
+    }
+    return new Date(Math.max(Number(epoch) * 1000, ZIP_EPOCH));
+  }
+
+  /**
+   * Permissions stored for a file in a deterministic archive: executable
+   * or not, regardless of umask and owner
+   */
+  getNormalizedMode(filePath) {
+    return fs.statSync(filePath).mode & 0o111 ? 0o755 : 0o644;
+  }
+
+  /**
+   * Compute the SHA-256 of a file without loading it into memory
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  /**
+   * Append the ZIP payload and its trailer to the end of an executable
+   */
+  async embedPayload(executablePath, archivePath) {
+    const offset = fs.statSync(executablePath).size;
+    const length = fs.statSync(archivePath).size;
+
+    await pipeline(
+      fs.createReadStream(archivePath),
+      fs.createWriteStream(executablePath, { flags: "a" })
+    );
+
+    const trailer = Buffer.alloc(PAYLOAD_TRAILER_SIZE);
+    trailer.write(PAYLOAD_MAGIC, 0, "ascii");
+    trailer.writeBigUInt64LE(BigInt(offset), 8);
+    trailer.writeBigUInt64LE(BigInt(length), 16);
+    fs.appendFileSync(executablePath, trailer);
+
+    console.log(`📎 Embedded payload into ${path.basename(executablePath)}`);
+  }
+
+  /**
+   * List the files below a folder that pass the include/exclude globs
+   * and any .packignore files along the way
+   */
+  listFilesInDirectory(rootPath) {
+    const filter = this.getFileFilter();
+    const files = [];
+
+    const walk = (dirPath, rules) => {
+      let items;
+      try {
+        items = fs.readdirSync(dirPath);
+      } catch (error) {
+        // Ignore errors when listing files
+        return;
+      }
 
-set /p "selectedPath=Enter extraction path (or press Enter for Desktop): "
+      if (items.includes(PACKIGNORE_FILE)) {
+        const patterns = fs.readFileSync(
+          path.join(dirPath, PACKIGNORE_FILE),
+          "utf8"
+        );
+        rules = rules.concat({ base: dirPath, rules: ignore().add(patterns) });
+      }
 
-if "!selectedPath!"=="" (
-    set "selectedPath=%USERPROFILE%\\\\Desktop"
-    echo.
-    echo WARNING: Using Desktop as extraction location!
-    echo This is not recommended for game mods.
-    echo.
-)
+      for (const item of items) {
+        if (item === PACKIGNORE_FILE) continue;
 
-echo !selectedPath! > "\${resultFile}"
-echo.
-echo Selected: !selectedPath!
-echo.
-echo Press any key to continue...
-pause > nul\`;
-
-  try {
-    // Write the batch file
-    fs.writeFileSync(batchFile, batchContent);
-    
-    // Run the batch file
-    execSync(\`"\${batchFile}"\`, { stdio: 'inherit' });
-    
-    // Read the result
-    if (fs.existsSync(resultFile)) {
-      const result = fs.readFileSync(resultFile, 'utf8').trim();
-      
-      // Clean up temp files
-      if (fs.existsSync(batchFile)) fs.unlinkSync(batchFile);
-      if (fs.existsSync(resultFile)) fs.unlinkSync(resultFile);
-      
-      if (result && result.length > 0) {
-        console.log(\`\\n✅ Selected directory: \${result}\`);
-        return result;
+        const fullPath = path.join(dirPath, item);
+        let isDirectory;
+        try {
+          // lstat so links are listed as files and refused, not followed
+          isDirectory = fs.lstatSync(fullPath).isDirectory();
+        } catch (error) {
+          // Skip entries that vanished while listing
+          continue;
+        }
+        const relativePath = path
+          .relative(rootPath, fullPath)
+          .split(path.sep)
+          .join("/");
+
+        if (this.isPackIgnored(rules, fullPath, isDirectory)) continue;
+
+        if (isDirectory) {
+          if (!filter.isExcluded(relativePath)) walk(fullPath, rules);
+        } else if (filter.isIncluded(relativePath)) {
+          files.push(fullPath);
+        }
       }
-    }
-    
-    // Fallback to smart default
-    return getSmartDefaultPath();
-    
-  } catch (error) {
-    console.log(\`\\n⚠️  Interactive input failed: \${error.message}\`);
-    
-    // Clean up temp files
-    if (fs.existsSync(batchFile)) fs.unlinkSync(batchFile);
-    if (fs.existsSync(resultFile)) fs.unlinkSync(resultFile);
-    
-    return getSmartDefaultPath();
+    };
+
+    walk(rootPath, []);
+    return files;
   }
-}
 
-function getSmartDefaultPath() {
-  // Smart path detection - try to find common game directories
-  const possiblePaths = [
-    path.join(os.homedir(), 'Desktop'),
-    'C:\\\\Program Files (x86)\\\\Steam\\\\steamapps\\\\common',
-    'C:\\\\Program Files\\\\Steam\\\\steamapps\\\\common',
-    'C:\\\\Program Files (x86)\\\\Epic Games',
-    'C:\\\\Program Files\\\\Epic Games',
-    'C:\\\\Games',
-    path.join(os.homedir(), 'Documents', 'My Games')
-  ];
-  
-  for (const testPath of possiblePaths) {
-    if (fs.existsSync(testPath)) {
-      console.log(\`\\n📂 Using smart default: \${testPath}\`);
-      return testPath;
-    }
-  }
-  
-  // Ultimate fallback
-  const defaultDir = path.join(os.homedir(), 'Desktop');
-  console.log(\`\\n📂 Using fallback default: \${defaultDir}\`);
-  return defaultDir;
-}
+  /**
+   * Compile the include and exclude globs from the config.
+   * Patterns without a slash match the file name at any depth.
+   */
+  getFileFilter() {
+    const { include = [], exclude = [] } = this.config;
+    [
+      ["include", include],
+      ["exclude", exclude],
+    ].forEach(([key, patterns]) => {
+      if (
+        !Array.isArray(patterns) ||
+        patterns.some((pattern) => typeof pattern !== "string")
+      ) {
+        throw new Error(`${key} must be an array of glob patterns`);
+      }
+    });
 
-function extractFiles() {
-  try {
-    showMessage('${this.config.appName} - File Extractor');
-    
-    console.log('\\n⏱️  Preparing extraction... Please wait...');
-    
-    const extractDir = selectDirectory();
-    
-    if (!extractDir) {
-      console.log('❌ No extraction directory specified.');
-      return;
-    }
+    const options = { dot: true, basename: true };
+    const matchesInclude =
+      include.length > 0 ? picomatch(include, options) : () => true;
+    const isExcluded =
+      exclude.length > 0 ? picomatch(exclude, options) : () => false;
 
-    console.log(\`\\n📂 Extracting to: \${extractDir}\`);
-    
-    // Create extraction directory
-    if (!fs.existsSync(extractDir)) {
-      fs.mkdirSync(extractDir, { recursive: true });
-    }
-    
-    // Find the archive file in the same directory as the executable
-    const executablePath = process.execPath;
-    const executableDir = path.dirname(executablePath);
-    let archivePath = path.join(executableDir, archiveFileName);
-    
-    console.log(\`\\n📦 Looking for archive: \${archivePath}\`);
-    
-    // If not found in executable directory, try current working directory
-    if (!fs.existsSync(archivePath)) {
-      const cwdArchivePath = path.join(process.cwd(), archiveFileName);
-      console.log(\`\\n📦 Trying current directory: \${cwdArchivePath}\`);
-      
-      if (fs.existsSync(cwdArchivePath)) {
-        archivePath = cwdArchivePath;
-        console.log(\`\\n✅ Found archive in current directory\`);
-      } else {
-        // Try to find any archive file with similar name
-        const possibleNames = [
-          archiveFileName,
-          archiveFileName.replace('_archive.zip', '.zip'),
-          archiveFileName.replace('_archive.zip', '_files.zip'),
-          'files.zip',
-          'archive.zip'
-        ];
-        
-        let found = false;
-        for (const name of possibleNames) {
-          const testPath = path.join(executableDir, name);
-          if (fs.existsSync(testPath)) {
-            archivePath = testPath;
-            console.log(\`\\n✅ Found archive: \${name}\`);
-            found = true;
-            break;
-          }
-        }
-        
-        if (!found) {
-          throw new Error(\`Archive file not found. Tried:\\n- \${archivePath}\\n- \${cwdArchivePath}\\n\\nPlease ensure the \${archiveFileName} file is in the same folder as this executable.\`);
-        }
+    return {
+      isExcluded,
+      isIncluded: (relativePath) =>
+        matchesInclude(relativePath) && !isExcluded(relativePath),
+    };
+  }
+
+  /**
+   * Apply .packignore rules from the outermost folder inwards, so deeper
+   * files can re-include paths with "!pattern" like nested .gitignore files
+   */
+  isPackIgnored(rules, fullPath, isDirectory) {
+    let ignored = false;
+    rules.forEach((rule) => {
+      let relativePath = path
+        .relative(rule.base, fullPath)
+        .split(path.sep)
+        .join("/");
+      if (isDirectory) relativePath += "/";
+
+      const result = rule.rules.test(relativePath);
+      if (result.ignored) {
+        ignored = true;
+      } else if (result.unignored) {
+        ignored = false;
       }
-    }
-    
-    const tempArchivePath = path.join(os.tmpdir(), 'temp-extract-${Date.now()}.zip');
-    console.log(\`\\n📦 Copying archive to: \${tempArchivePath}\`);
-    
-    fs.copyFileSync(archivePath, tempArchivePath);
-    const stats = fs.statSync(tempArchivePath);
-    console.log(\`✅ Archive copied (\${stats.size} bytes)\`);
-    
-    // Extract using Node.js native zip library (more reliable than PowerShell)
-    try {
-      console.log('\\n🔄 Extracting files...');
-      console.log('\\n⏳ Please wait while files are being extracted...');
-      
-      console.log('\\n🔧 Running Node.js extraction...');
-      console.log(\`Source: \${tempArchivePath}\`);
-      console.log(\`Destination: \${extractDir}\`);
-      
-      // Use a hybrid approach - try AdmZip first, fallback to PowerShell
-      let extractedCount = 0;
-      
-      try {
-        // Try AdmZip first (if available)
-        if (typeof AdmZip !== 'undefined') {
-          const zip = new AdmZip(tempArchivePath);
-          const entries = zip.getEntries();
-          
-          console.log(\`\\n📦 Archive contains \${entries.length} items\`);
-          
-          entries.forEach(entry => {
-            if (!entry.isDirectory) {
-              const entryPath = path.join(extractDir, entry.entryName);
-              const entryDir = path.dirname(entryPath);
-              
-              // Create directory if it doesn't exist
-              if (!fs.existsSync(entryDir)) {
-                fs.mkdirSync(entryDir, { recursive: true });
-              }
-              
-              // Extract file
-              fs.writeFileSync(entryPath, entry.getData());
-              extractedCount++;
-              
-              console.log(\`   📄 Extracted: \${entry.entryName}\`);
-            } else {
-              // Create directory
-              const dirPath = path.join(extractDir, entry.entryName);
-              if (!fs.existsSync(dirPath)) {
-                fs.mkdirSync(dirPath, { recursive: true });
-              }
-              console.log(\`   📂 Created: \${entry.entryName}/\`);
-            }
-          });
-        } else {
-          throw new Error('AdmZip not available');
-        }
-      } catch (zipError) {
-        console.log('\\n⚠️  AdmZip not available, using PowerShell fallback...');
-        
-        // Create progress spinner for extraction (with fallback)
-        let spinner;
-        try {
-          spinner = ora('🔄 Extracting files...').start();
-        } catch (oraError) {
-          console.log('🔄 Extracting files...');
-          spinner = {
-            succeed: (msg) => console.log(msg),
-            fail: (msg) => console.log(msg)
-          };
-        }
+    });
+    return ignored;
+  }
 
-        // Fallback to PowerShell extraction with better error handling
-        const psExtractScript = \`
-Write-Host "Starting PowerShell extraction..." -ForegroundColor Cyan
-Write-Host "Source: \${tempArchivePath.replace(/\\\\/g, '/')}" -ForegroundColor Gray
-Write-Host "Destination: \${extractDir.replace(/\\\\/g, '/')}" -ForegroundColor Gray
-Write-Host ""
-
-# Check if source exists
-if (Test-Path "\${tempArchivePath.replace(/\\\\/g, '/')}") {
-  Write-Host "✅ Source archive found" -ForegroundColor Green
-  \$sourceSize = (Get-Item "\${tempArchivePath.replace(/\\\\/g, '/')}").Length
-  Write-Host "Archive size: \$sourceSize bytes" -ForegroundColor Gray
-} else {
-  Write-Host "❌ Source archive not found!" -ForegroundColor Red
-  throw "Source archive not found: \${tempArchivePath.replace(/\\\\/g, '/')}"
-}
+  /**
+   * Settings the extractor runtime reads from the JSON file bundled next to it
+   */
+  getExtractorSettings(archiveFileName) {
+    return {
+      packageId: this.getPackageId(),
+      appName: this.config.appName,
+      version: this.config.version,
+      installName: this.sanitizeFileName(this.config.appName),
+      archiveFileName,
+      game: this.config.game || null,
+      directory: this.getDirectorySettings(),
+      installer: this.getInstallerSettings(),
+      requires: this.getRequirements(),
+    };
+  }
 
-# Check if destination exists
-if (Test-Path "\${extractDir.replace(/\\\\/g, '/')}") {
-  Write-Host "✅ Destination directory exists" -ForegroundColor Green
-} else {
-  Write-Host "⚠️  Destination directory doesn't exist, creating..." -ForegroundColor Yellow
-  New-Item -ItemType Directory -Path "\${extractDir.replace(/\\\\/g, '/')}" -Force
-}
+  /**
+   * Write the pkg entry point: a stub that runs the extractor runtime
+   * with the package settings, both bundled from the given folder
+   */
+  writeExtractor(outputDir, archiveFileName) {
+    const extractorPath = path.join(outputDir, "extractor.js");
+    const settingsPath = path.join(outputDir, EXTRACTOR_SETTINGS_FILE);
 
-try {
-  Write-Host "Extracting files..." -ForegroundColor Yellow
-  Expand-Archive -Path "\${tempArchivePath.replace(/\\\\/g, '/')}" -DestinationPath "\${extractDir.replace(/\\\\/g, '/')}" -Force
-  Write-Host "✅ PowerShell extraction completed!" -ForegroundColor Green
-  
-  # List extracted files
-  Write-Host "Extracted files:" -ForegroundColor Cyan
-  \$items = Get-ChildItem -Path "\${extractDir.replace(/\\\\/g, '/')}" -Recurse
-  Write-Host "Total items extracted: \$(\$items.Count)" -ForegroundColor Green
-  \$items | ForEach-Object {
-    if (\$_.PSIsContainer) {
-      Write-Host "  📂 \$(\$_.FullName)" -ForegroundColor Blue
-    } else {
-      Write-Host "  📄 \$(\$_.FullName)" -ForegroundColor White
-    }
+    fs.writeFileSync(
+      settingsPath,
+      JSON.stringify(this.getExtractorSettings(archiveFileName), null, 2)
+    );
+    // The runtime is required by absolute path so pkg bundles it, and the
+    // modules it uses, wherever the build runs
+    fs.writeFileSync(
+      extractorPath,
+      `require(${JSON.stringify(
+        EXTRACTOR_RUNTIME
+      )}).run(require(${JSON.stringify(`./${EXTRACTOR_SETTINGS_FILE}`)}));\n`
+    );
+    return extractorPath;
   }
-} catch {
-  Write-Host "❌ PowerShell extraction failed: \$(\$_.Exception.Message)" -ForegroundColor Red
-  Write-Host "Full error: \$(\$_)" -ForegroundColor Red
-  throw \$_
-}
-\`;
-        
-        try {
-          // Try a simpler PowerShell command first
-          execSync(\`powershell -Command "Expand-Archive -Path '\${tempArchivePath}' -DestinationPath '\${extractDir}' -Force"\`, { 
-            stdio: 'inherit', 
-            shell: true,
-            timeout: 60000  // 60 second timeout
-          });
-          
-          // Count extracted files
-          const extractedFiles = fs.readdirSync(extractDir);
-          extractedCount = extractedFiles.length;
-          
-          spinner.succeed(\`✅ Extracted \${extractedCount} items successfully!\`);
-          
-          // List what was actually extracted
-          console.log(\`\\n📋 Files extracted to: \${extractDir}\`);
-          const extractedItems = fs.readdirSync(extractDir);
-          extractedItems.forEach(item => {
-            const itemPath = path.join(extractDir, item);
-            const itemStats = fs.statSync(itemPath);
-            if (itemStats.isDirectory()) {
-              console.log(\`   📂 \${item}/\`);
-            } else {
-              console.log(\`   📄 \${item} (\${formatBytes(itemStats.size)})\`);
-            }
-          });
-          
-        } catch (psError) {
-          spinner.fail('❌ Simple PowerShell extraction failed');
-          
-          // Try the detailed script as fallback
-          try {
-            let fallbackSpinner;
-            try {
-              fallbackSpinner = ora('🔧 Trying detailed PowerShell extraction...').start();
-            } catch (oraError) {
-              console.log('🔧 Trying detailed PowerShell extraction...');
-              fallbackSpinner = {
-                succeed: (msg) => console.log(msg),
-                fail: (msg) => console.log(msg)
-              };
-            }
-            execSync(\`powershell -Command "\${psExtractScript}"\`, { 
-              stdio: 'inherit', 
-              shell: true,
-              timeout: 60000  // 60 second timeout
-            });
-            
-            // Count extracted files
-            const extractedFiles = fs.readdirSync(extractDir);
-            extractedCount = extractedFiles.length;
-            
-            fallbackSpinner.succeed(\`✅ Extracted \${extractedCount} items successfully!\`);
-            
-          } catch (detailedPsError) {
-            fallbackSpinner.fail('❌ Detailed PowerShell extraction also failed');
-            throw detailedPsError;
-          }
-        }
+
+  /**
+   * Create the final executable using pkg
+   */
+  async createExtractorExecutable(extractorPath, outputName, target) {
+    const { outputPath, executablePath } = this.getOutputPaths(
+      outputName,
+      target
+    );
+    const pkgCommand = this.buildPkgCommand(extractorPath, outputPath, target);
+
+    // Icons, manifests and version details are Windows resources
+    const branding = this.isWindowsTarget(target)
+      ? this.getBrandingSettings()
+      : null;
+    const env = { ...process.env };
+    let brandedBase = null;
+    if (branding) {
+      console.log("🎨 Applying branding...");
+      if (branding.iconPath) {
+        console.log(`🎨 Using custom icon: ${branding.iconPath}`);
       }
-      
-      console.log(\`\\n✅ Successfully extracted \${extractedCount} files!\`);
-      
-      // Verify extraction worked and show results
-      const extractedFiles = fs.readdirSync(extractDir);
-      console.log(\`\\n📁 Directory contents after extraction (\${extractedFiles.length} items):\`);
-      
-      let totalSize = 0;
-      let newFilesCount = 0;
-      extractedFiles.forEach(file => {
-        const filePath = path.join(extractDir, file);
-        const stats = fs.statSync(filePath);
-        totalSize += stats.size;
-        
-        // Check if this looks like a newly extracted file/folder
-        const isLikelyNew = file.includes('test-mod-content') || 
-                           file.includes('BepInEx') || 
-                           file.includes('config.json') || 
-                           file.includes('TestMod.dll') ||
-                           file.includes('README.md') ||
-                           file.includes('mod') ||
-                           file.includes('plugin') ||
-                           file.includes('cache') ||
-                           file.includes('core') ||
-                           file.includes('patchers');
-        
-        if (stats.isDirectory()) {
-          console.log(\`   📂 \${file}/\`);
-          if (isLikelyNew) newFilesCount++;
-        } else {
-          const sizeStr = formatBytes(stats.size);
-          console.log(\`   📄 \${file} (\${sizeStr})\`);
-          if (isLikelyNew) newFilesCount++;
-        }
-      });
-      
-      console.log(\`\\n📊 Total directory size: \${formatBytes(totalSize)}\`);
-      if (newFilesCount > 0) {
-        console.log(\`\\n✅ Successfully extracted \${newFilesCount} new files/folders!\`);
-        console.log(\`\\n🎯 Extraction completed successfully!\`);
-      } else {
-        console.log(\`\\n⚠️  No new files detected, but extraction may have worked.\`);
-        console.log(\`\\n🔍 Check the extraction directory manually to verify files were extracted.\`);
+      if (branding.manifestPath) {
+        console.log(`📋 Using custom manifest: ${branding.manifestPath}`);
       }
-      
-      // Clean up temp file
-      if (fs.existsSync(tempArchivePath)) {
-        fs.unlinkSync(tempArchivePath);
+      if (branding.versionInfo) {
+        console.log("📋 Adding version information...");
       }
-      
-    } catch (extractError) {
-      console.log(\`\\n⚠️  Node.js extraction failed: \${extractError.message}\`);
-      // Fallback: try to copy the archive to destination
-      console.log('\\n📋 Copying archive to destination...');
-      const destArchive = path.join(extractDir, 'extracted_files.zip');
-      fs.copyFileSync(tempArchivePath, destArchive);
-      console.log(\`✅ Archive copied to: \${destArchive}\`);
-      console.log('\\n📝 Manual extraction required:');
-      console.log(\`   Right-click on \${destArchive} and select "Extract All"\`);
-    }
-    
-    showMessage('✅ Extraction completed!\\n\\nFiles have been extracted to:\\n' + extractDir);
-    
-    // Keep window open longer and wait for user input
-    console.log('\\n==========================================');
-    console.log('        INSTALLATION COMPLETED!');
-    console.log('==========================================');
-    console.log('\\n🎉 Installation completed successfully!');
-    console.log('\\n📁 Files extracted to: ' + extractDir);
-    console.log('\\n⏱️  This window will stay open for 30 seconds...');
-    console.log('\\n💡 You can close this window manually by clicking the X button.');
-    
-    // Simple pause before closing
-    setTimeout(() => {
-      console.log('\\n\\n👋 Goodbye!');
-      process.exit(0);
-    }, 30000);
-    
-  } catch (error) {
-    showMessage('❌ Extraction failed:\\n' + error.message);
-    console.log('\\n==========================================');
-    console.log('        INSTALLATION FAILED!');
-    console.log('==========================================');
-    console.log('\\n❌ Installation failed!');
-    console.log('\\n🔍 Error details: ' + error.message);
-    console.log('\\n⏱️  This window will stay open for 30 seconds...');
-    console.log('\\n💡 You can close this window manually by clicking the X button.');
-    
-    setTimeout(() => {
-      console.log('\\n\\n👋 Goodbye!');
-      process.exit(1);
-    }, 30000);
-  }
-}
+      env.PKG_CACHE_PATH = path.join(path.dirname(extractorPath), "pkg-cache");
+      brandedBase = await this.prepareBrandedBase(
+        target,
+        branding,
+        env.PKG_CACHE_PATH,
+        path.basename(executablePath)
+      );
+      // The global pkg may use another cache layout and skip the branded base
+      pkgCommand[0] = this.getLocalPkgCommand();
+    }
 
-// Add error handling to catch any silent failures
-process.on('uncaughtException', (error) => {
-  console.log('\\n❌ CRITICAL ERROR CAUGHT:');
-  console.log('Error: ' + error.message);
-  console.log('Stack: ' + error.stack);
-  console.log('\\n⏱️  Window will stay open for 30 seconds...');
-  
-  setTimeout(() => {
-    console.log('\\n\\n👋 Goodbye!');
-    process.exit(1);
-  }, 30000);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.log('\\n❌ UNHANDLED REJECTION:');
-  console.log('Reason: ' + reason);
-  console.log('\\n⏱️  Window will stay open for 30 seconds...');
-  
-  setTimeout(() => {
-    console.log('\\n\\n👋 Goodbye!');
-    process.exit(1);
-  }, 30000);
-});
-
-// Force console window to appear on Windows
-if (process.platform === 'win32') {
-  // Create a console window if one doesn't exist
-  try {
-    const { execSync } = require('child_process');
-    execSync('title Mod Installer', { stdio: 'ignore' });
-    
-    // Also try to allocate a console
+    // Package the extractor with pkg
+    const pkgSpinner = ora("📦 Creating executable...").start();
     try {
-      const { execSync } = require('child_process');
-      execSync('cmd /c echo Console allocated', { stdio: 'ignore' });
-    } catch (e) {
-      // Ignore errors
+      console.log(`\n🔧 Running: ${pkgCommand.join(" ")}`);
+      execSync(pkgCommand.join(" "), { stdio: "inherit", env });
+      if (brandedBase) {
+        this.checkBranding(executablePath, brandedBase);
+      }
+      pkgSpinner.succeed("✅ Executable created successfully");
+
+      this.createConsoleWrapper(executablePath, target);
+    } catch (error) {
+      pkgSpinner.fail("❌ Executable creation failed");
+      throw error;
     }
-  } catch (e) {
-    // Ignore errors
-  }
-  
-  // Force stdout to be available
-  if (!process.stdout.isTTY) {
-    // Don't override stdout.write with console.log to avoid circular reference
-    process.stdout.isTTY = true;
-  }
-}
 
-// Start extraction with immediate pause and error handling
-try {
-  console.log('==========================================');
-  console.log('           MOD INSTALLER STARTED');
-  console.log('==========================================');
-  console.log('\\n🚀 Starting extraction process...');
-  extractFiles();
-} catch (startupError) {
-  console.log('\\n❌ STARTUP ERROR:');
-  console.log('Error: ' + startupError.message);
-  console.log('Stack: ' + startupError.stack);
-  console.log('\\n⏱️  Window will stay open for 30 seconds...');
-  
-  setTimeout(() => {
-    console.log('\\n\\n👋 Goodbye!');
-    process.exit(1);
-  }, 30000);
-}
-`;
+    return executablePath;
   }
 
   /**
-   * Create the final executable using pkg
+   * Make sure the pkg CLI is available
    */
-  async createExtractorExecutable(extractorPath, outputName, archivePath) {
+  installPkg() {
     console.log("📦 Installing required packages...");
 
     // Install required packages with spinner
@@ -948,58 +1373,37 @@ try {
     } catch (error) {
       installSpinner.fail("⚠️  pkg already installed or failed to install");
     }
+  }
 
-    // Sanitize the output name for the file system
-    const sanitizedOutputName = outputName
-      .replace(/[<>:"/\\|?*]/g, "") // Remove invalid filename characters
-      .replace(/'/g, "") // Remove apostrophes
-      .replace(/\s+/g, "_") // Replace spaces with underscores
-      .trim();
-
-    const outputPath = path.join(this.config.outputDir, sanitizedOutputName);
-
-    // Build pkg command with enhanced options
-    const pkgCommand = [
-      "pkg",
-      extractorPath,
-      "--output",
-      outputPath,
-      "--target",
-      "node18-win-x64",
-      "--compress",
-      "GZip",
-    ];
-
-    // Add custom icon if specified
-    if (this.config.iconPath && fs.existsSync(this.config.iconPath)) {
-      pkgCommand.push("--icon", this.config.iconPath);
-      console.log(`🎨 Using custom icon: ${this.config.iconPath}`);
-    }
-
-    // Add custom manifest if specified
-    if (this.config.manifestPath && fs.existsSync(this.config.manifestPath)) {
-      pkgCommand.push("--manifest", this.config.manifestPath);
-      console.log(`📋 Using custom manifest: ${this.config.manifestPath}`);
-    }
+  /**
+   * Path of the console wrapper written next to an executable
+   */
+  getWrapperPath(executablePath, target) {
+    return this.isWindowsTarget(target)
+      ? `${executablePath}_installer.bat`
+      : `${executablePath}_installer.sh`;
+  }
 
-    // Package the extractor with pkg
-    const pkgSpinner = ora("📦 Creating executable...").start();
-    try {
-      console.log(`\n🔧 Running: ${pkgCommand.join(" ")}`);
-      execSync(pkgCommand.join(" "), { stdio: "inherit" });
-      pkgSpinner.succeed("✅ Executable created successfully");
+  /**
+   * Write a script next to the executable that runs it in a console
+   * and keeps the window open: a .bat on Windows, a shell script elsewhere
+   */
+  createConsoleWrapper(executablePath, target) {
+    const executableName = path.basename(executablePath);
+    const { title } = this.getInstallerSettings();
 
+    if (this.isWindowsTarget(target)) {
       // Create a batch file wrapper to ensure console window appears
-      let batchPath = outputPath + "_installer.bat";
+      const batchPath = this.getWrapperPath(executablePath, target);
       const batchContent = `@echo off
-title ${this.config.appName}
+title ${this.escapeBatch(title)}
 echo ==========================================
-echo    ${this.config.appName}
+echo    ${this.escapeBatch(title)}
 echo ==========================================
 echo.
 echo Starting installation...
 echo.
-"%~dp0${path.basename(outputPath)}.exe"
+"%~dp0${executableName}" %*
 echo.
 echo ==========================================
 echo Installation completed!
@@ -1011,56 +1415,377 @@ pause >nul
 
       fs.writeFileSync(batchPath, batchContent);
       console.log(`📋 Created console wrapper: ${path.basename(batchPath)}`);
-    } catch (error) {
-      pkgSpinner.fail("❌ Executable creation failed");
-      throw error;
+      return;
+    }
+
+    const scriptPath = this.getWrapperPath(executablePath, target);
+    const scriptContent = `#!/bin/sh
+echo "=========================================="
+echo "   "${this.quoteShell(title)}
+echo "=========================================="
+echo
+echo "Starting installation..."
+echo
+"$(dirname "$0")"/${this.quoteShell(executableName)} "$@"
+status=$?
+echo
+echo "=========================================="
+echo "Installation finished."
+echo "=========================================="
+echo
+printf "Press Enter to exit..."
+read -r _
+exit $status
+`;
+
+    fs.writeFileSync(scriptPath, scriptContent, { mode: 0o755 });
+    console.log(`📋 Created console wrapper: ${path.basename(scriptPath)}`);
+  }
+
+  escapeBatch(value) {
+    return String(value)
+      .replace(/%/g, "%%")
+      .replace(/[\^&|<>()]/g, "^$&");
+  }
+
+  quoteShell(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Work out where pkg writes the executable for an output name
+   */
+  getOutputPaths(outputName, target = this.config.targets[0]) {
+    // Sanitize the output name for the file system
+    const sanitizedOutputName = this.sanitizeFileName(outputName);
+
+    const outputPath = path.join(this.config.outputDir, sanitizedOutputName);
+    // pkg appends .exe for Windows targets when it is missing
+    const executablePath =
+      !this.isWindowsTarget(target) ||
+      path.extname(outputPath).toLowerCase() === ".exe"
+        ? outputPath
+        : `${outputPath}.exe`;
+
+    return { outputPath, executablePath };
+  }
+
+  /**
+   * Build the pkg command line for the extractor
+   */
+  buildPkgCommand(extractorPath, outputPath, target) {
+    const pkgCommand = [
+      "pkg",
+      extractorPath,
+      "--output",
+      outputPath,
+      "--target",
+      target,
+      "--compress",
+      "GZip",
+    ];
+
+    return pkgCommand;
+  }
+
+  /**
+   * Resolve the branding block, accepting the older top-level iconPath,
+   * manifestPath and versionInfo keys. Returns null when there is nothing to do.
+   */
+  getBrandingSettings() {
+    const { branding = {} } = this.config;
+    if (branding.enabled === false) {
+      return null;
     }
 
-    // Post-process the executable if needed
-    if (this.config.branding) {
-      await this.applyBranding(outputPath);
+    const iconPath = branding.iconPath || this.config.iconPath;
+    const manifestPath = branding.manifestPath || this.config.manifestPath;
+    let versionInfo = branding.versionInfo || this.config.versionInfo;
+    if (versionInfo && versionInfo.enabled === false) {
+      versionInfo = null;
+    }
+
+    [
+      ["iconPath", iconPath],
+      ["manifestPath", manifestPath],
+    ].forEach(([key, filePath]) => {
+      if (filePath && !fs.existsSync(filePath)) {
+        throw new Error(`branding.${key} not found: ${filePath}`);
+      }
+    });
+
+    if (!iconPath && !manifestPath && !versionInfo) {
+      return null;
+    }
+    return {
+      iconPath: iconPath || null,
+      manifestPath: manifestPath || null,
+      versionInfo: versionInfo || null,
+    };
+  }
+
+  /**
+   * Write the icon, manifest and VERSIONINFO resources into a Windows
+   * executable and return the new file contents
+   */
+  applyBranding(executable, branding, fileName) {
+    const exe = ResEdit.NtExecutable.from(executable, { ignoreCert: true });
+    const resources = ResEdit.NtExecutableResource.from(exe);
+
+    if (branding.iconPath) {
+      const iconFile = ResEdit.Data.IconFile.from(
+        fs.readFileSync(branding.iconPath)
+      );
+      // Replace the existing icon group so Explorer shows ours
+      const [group] = ResEdit.Resource.IconGroupEntry.fromEntries(
+        resources.entries
+      );
+      ResEdit.Resource.IconGroupEntry.replaceIconsForResource(
+        resources.entries,
+        group ? group.id : 1,
+        group ? group.lang : RESOURCE_LANGUAGE,
+        iconFile.icons.map((icon) => icon.data)
+      );
+    }
+
+    if (branding.manifestPath) {
+      resources.entries = resources.entries.filter(
+        (entry) => entry.type !== RT_MANIFEST
+      );
+      resources.entries.push({
+        type: RT_MANIFEST,
+        id: 1,
+        lang: RESOURCE_LANGUAGE,
+        codepage: 0,
+        bin: fs.readFileSync(branding.manifestPath),
+      });
+    }
+
+    if (branding.versionInfo) {
+      this.writeVersionInfo(resources, branding.versionInfo, fileName);
+    }
+
+    resources.outputResource(exe);
+    return Buffer.from(exe.generate());
+  }
+
+  /**
+   * Replace the VERSIONINFO resource with the package details
+   */
+  writeVersionInfo(resources, versionInfo, fileName) {
+    const version = semver.coerce(this.config.version) || semver.parse("0.0.0");
+    const productName = versionInfo.productName || this.config.appName;
+    const lang = { lang: RESOURCE_LANGUAGE, codepage: UNICODE_CODEPAGE };
+
+    // Start from scratch so none of the base binary's details remain
+    resources.entries = resources.entries.filter(
+      (entry) => entry.type !== RT_VERSION
+    );
+    const info = ResEdit.Resource.VersionInfo.createEmpty();
+    info.lang = RESOURCE_LANGUAGE;
+    info.setFileVersion(version.major, version.minor, version.patch, 0);
+    info.setProductVersion(version.major, version.minor, version.patch, 0);
+    info.setStringValues(lang, {
+      CompanyName: versionInfo.companyName || "",
+      ProductName: productName,
+      FileDescription: versionInfo.description || productName,
+      LegalCopyright: versionInfo.copyright || "",
+      FileVersion: this.config.version,
+      ProductVersion: this.config.version,
+      InternalName: this.sanitizeFileName(this.config.appName),
+      OriginalFilename: fileName,
+    });
+    info.outputToResourceEntries(resources.entries);
+  }
+
+  /**
+   * pkg finds its payload at offsets fixed when it writes the executable, so
+   * resources cannot be changed afterwards. Brand a copy of the Node base
+   * binary instead, and hand it to pkg through a private cache, where pkg
+   * uses it like a locally built binary.
+   */
+  async prepareBrandedBase(target, branding, cacheDir, fileName) {
+    const [, nodeRange, platform, arch] = target.match(
+      /^(node\d+)-(\w+)-(\w+)$/
+    );
+    const { need } = this.requirePkgFetch();
+    const fetched = await need({ nodeRange, platform, arch });
+
+    const builtPath = path.join(
+      cacheDir,
+      path.basename(path.dirname(fetched)),
+      path.basename(fetched).replace(/^fetched-/, "built-")
+    );
+    fs.mkdirSync(path.dirname(builtPath), { recursive: true });
+    fs.writeFileSync(
+      builtPath,
+      this.applyBranding(fs.readFileSync(fetched), branding, fileName)
+    );
+    return builtPath;
+  }
+
+  /**
+   * Make sure pkg built from the branded base rather than a stock binary
+   */
+  checkBranding(executablePath, basePath) {
+    const readResources = (file) =>
+      ResEdit.NtExecutableResource.from(
+        ResEdit.NtExecutable.from(fs.readFileSync(file), { ignoreCert: true })
+      ).entries;
+    const built = readResources(executablePath);
+    const missing = readResources(basePath).filter(
+      (entry) =>
+        !built.some(
+          (other) =>
+            other.type === entry.type &&
+            other.id === entry.id &&
+            other.lang === entry.lang &&
+            Buffer.from(other.bin).equals(Buffer.from(entry.bin))
+        )
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `${path.basename(
+          executablePath
+        )} was built from a stock Node binary, so branding was not applied. Check that pkg and pkg-fetch in node_modules are not shadowed by another install.`
+      );
     }
   }
 
   /**
-   * Apply additional branding to the executable
+   * Directory of the pkg installed in the project, which branding relies on
    */
-  async applyBranding(outputPath) {
+  resolveLocalPkg() {
     try {
-      console.log("🎨 Applying branding...");
+      return path.dirname(require.resolve("pkg/package.json"));
+    } catch (error) {
+      throw new Error(
+        "Branding needs pkg installed in the project: npm install --save-dev pkg"
+      );
+    }
+  }
 
-      // Here we could add additional branding features like:
-      // - Custom version info
-      // - Digital signing
-      // - Resource embedding
-      // - Splash screen injection
+  requirePkgFetch() {
+    // Use the same pkg-fetch as pkg so the cache layout matches
+    return require(require.resolve("pkg-fetch", {
+      paths: [this.resolveLocalPkg()],
+    }));
+  }
 
-      if (this.config.versionInfo) {
-        console.log("📋 Adding version information...");
-        // Future: Add version info to executable
-      }
+  /**
+   * Command that runs the project's pkg, whose pkg-fetch prepared the cache
+   */
+  getLocalPkgCommand() {
+    const pkgDir = this.resolveLocalPkg();
+    const { bin } = JSON.parse(
+      fs.readFileSync(path.join(pkgDir, "package.json"), "utf8")
+    );
+    const binPath = path.join(pkgDir, typeof bin === "string" ? bin : bin.pkg);
+    return `"${process.execPath}" "${binPath}"`;
+  }
+
+  /**
+   * Print a warning, and keep it for the build report while building
+   */
+  warn(message) {
+    if (this.report) {
+      this.report.warn(message);
+    } else {
+      console.log(`⚠️  ${message}`);
+    }
+  }
+
+  /**
+   * Resolve the signing section, or null when installers are not signed
+   */
+  getSigningSettings() {
+    return signing.getSigningSettings(this.config);
+  }
+
+  /**
+   * Create the signer before building so a missing tool or certificate
+   * fails fast. Returns null when there is nothing to sign.
+   */
+  createSigner() {
+    const settings = this.getSigningSettings();
+    if (!settings) {
+      return null;
+    }
+    if (!this.config.targets.some((target) => this.isWindowsTarget(target))) {
+      this.warn("Signing only applies to Windows targets, skipping");
+      return null;
+    }
+    return signing.createSigner(settings);
+  }
 
-      if (this.config.digitalSign) {
-        console.log("🔐 Adding digital signature...");
-        // Future: Sign the executable
+  /**
+   * Sign a finished installer and make sure it still finds its payload
+   */
+  signExecutable(signer, executablePath) {
+    const name = path.basename(executablePath);
+    const signSpinner = ora(`🔏 Signing ${name}...`).start();
+    try {
+      signing.signFile(signer, executablePath);
+      if (!findEmbeddedPayload(executablePath)) {
+        throw new Error(`${name} no longer finds its payload after signing`);
       }
+      signSpinner.succeed(`🔏 Signed ${name}`);
     } catch (error) {
-      console.log(`⚠️  Branding failed: ${error.message}`);
+      signSpinner.fail(`❌ Signing failed for ${name}`);
+      throw error;
     }
   }
 
   /**
-   * Generate output filename with version
+   * Output name without extension, naming updates after their base version
    */
-  generateOutputName() {
+  getDefaultOutputName(base) {
+    return base
+      ? `${this.getBaseOutputName()}-update-from-${this.sanitizeFileName(
+          base.version
+        )}`
+      : this.getBaseOutputName();
+  }
+
+  getBaseOutputName() {
     const version = this.config.includeVersion ? `-${this.config.version}` : "";
-    // Sanitize filename by removing/replacing problematic characters
-    const sanitizedName = this.config.appName
+    const sanitizedName = this.sanitizeFileName(this.config.appName);
+    return `${sanitizedName}${version}`;
+  }
+
+  /**
+   * Add the platform suffix when building several targets, and .exe on Windows
+   */
+  getTargetOutputName(baseName, target) {
+    const suffix =
+      this.config.targets.length > 1
+        ? `-${target.replace(/^node\d+-/, "")}`
+        : "";
+    const extension = this.isWindowsTarget(target) ? ".exe" : "";
+    return `${baseName}${suffix}${extension}`;
+  }
+
+  formatBytes(bytes) {
+    return bytes === 0
+      ? "0 Bytes"
+      : bytes < 1024
+      ? bytes + " Bytes"
+      : bytes < 1024 * 1024
+      ? (bytes / 1024).toFixed(2) + " KB"
+      : bytes < 1024 * 1024 * 1024
+      ? (bytes / (1024 * 1024)).toFixed(2) + " MB"
+      : (bytes / (1024 * 1024 * 1024)).toFixed(2) + " GB";
+  }
+
+  /**
+   * Sanitize a name by removing/replacing problematic filename characters
+   */
+  sanitizeFileName(name) {
+    return name
       .replace(/[<>:"/\\|?*]/g, "") // Remove invalid filename characters
       .replace(/'/g, "") // Remove apostrophes
       .replace(/\s+/g, "_") // Replace spaces with underscores
       .trim();
-    return `${sanitizedName}${version}.exe`;
   }
 
   /**
@@ -1077,33 +1802,56 @@ pause >nul
  * CLI Interface
  */
 function main() {
-  const args = process.argv.slice(2);
+  let args = process.argv.slice(2);
+
+  // "diff" builds an update package against an earlier full package
+  const isDiff = args[0] === "diff";
+  if (isDiff) {
+    args = args.slice(1);
+  }
 
   if (args.length === 0) {
     console.log(`
 📦 File Packing Script - Self-Extracting Executables
 
 Usage: node pack-files.js [options]
+       node pack-files.js diff --from <old package> [options]
 
 Options:
   --files <pattern>     - Files to include (can specify multiple)
   --folders <pattern>   - Folders to include (can specify multiple)
+  --include <glob>      - Only pack matching files from folders (can specify multiple)
+  --exclude <glob>      - Skip matching files in folders (can specify multiple)
+  --targets <target>    - pkg target, e.g. node18-linux-x64 (can specify multiple)
   --output-name <name>  - Name of the output executable
   --app-name <name>     - Application name
   --version <version>   - Version number
   --config <file>       - Use configuration file (JSON)
+  --deterministic       - Build byte-identical archives from identical inputs
+  --dry-run             - Show what would be packed without building anything
+  --json                - With --dry-run, print the plan as JSON
+
+Update packages (diff):
+  --from <package>      - Earlier full installer or archive to build the update against
+  --to <folder>         - Folder with the new files (same as --folders)
 
 Examples:
   node pack-files.js --files "./config.json" --files "./readme.txt" --output-name "MyPackage"
   node pack-files.js --folders "./assets" --folders "./data" --output-name "GameFiles"
+  node pack-files.js --folders "./build" --exclude "**/*.pdb" --exclude "bin/Debug"
   node pack-files.js --config ./pack-config.json
+  node pack-files.js --config ./pack-config.json --dry-run --json
+  node pack-files.js diff --from ./dist/MyMod-1.0.0.exe --to ./build --version 1.1.0
 
 Configuration file format:
 {
   "appName": "MyPackage",
   "version": "1.0.0",
   "files": ["./config.json", "./readme.txt"],
-  "folders": ["./assets", "./data"]
+  "folders": ["./assets", "./data"],
+  "exclude": ["**/*.pdb", ".git", "node_modules"],
+  "targets": ["node18-win-x64", "node18-linux-x64"],
+  "layout": [{ "from": "./build/*.dll", "to": "BepInEx/plugins/MyMod" }]
 }
     `);
     return;
@@ -1112,12 +1860,26 @@ Configuration file format:
   const options = {};
   let config = {};
 
+  // Flags that take no value
+  const booleanFlags = ["dry-run", "json", "deterministic"];
+
   // Parse command line options
-  for (let i = 0; i < args.length; i += 2) {
+  for (let i = 0; i < args.length; i++) {
     const key = args[i].replace("--", "");
-    const value = args[i + 1];
-
-    if (key === "files" || key === "folders") {
+    if (booleanFlags.includes(key)) {
+      options[key] = true;
+      continue;
+    }
+    const value = args[++i];
+
+    if (
+      key === "files" ||
+      key === "folders" ||
+      key === "include" ||
+      key === "exclude" ||
+      key === "targets" ||
+      key === "to"
+    ) {
       if (!options[key]) options[key] = [];
       options[key].push(value);
     } else {
@@ -1141,19 +1903,54 @@ Configuration file format:
     appName: options["app-name"] || config.appName || "MyPackage",
     version: options.version || config.version || "1.0.0",
     outputDir: config.outputDir || "./dist",
+    targets: options.targets || config.targets || ["node18-win-x64"],
+    // Filters from the command line add to the ones in the config file
+    include: (config.include || []).concat(options.include || []),
+    exclude: (config.exclude || []).concat(options.exclude || []),
     includeVersion:
       config.includeVersion !== undefined ? config.includeVersion : true,
+    deterministic: Boolean(options.deterministic || config.deterministic),
   };
 
   const finalOptions = {
     files: options.files || config.files || [],
-    folders: options.folders || config.folders || [],
+    folders:
+      options.folders || options.to
+        ? (options.folders || []).concat(options.to || [])
+        : config.folders || [],
+    layout: config.layout || [],
     outputName: options["output-name"] || config.outputName,
   };
 
+  if (isDiff) {
+    if (!options.from) {
+      console.error("diff needs --from <old package>");
+      process.exit(1);
+    }
+    finalOptions.from = options.from;
+  }
+
   // Create packer and run
   const packer = new FilePacker(finalConfig);
 
+  if (options["dry-run"]) {
+    packer
+      .planPackage(finalOptions)
+      .then((plan) => {
+        if (options.json) {
+          console.log(JSON.stringify(plan, null, 2));
+        } else {
+          packer.printPlan(plan);
+        }
+        process.exit(plan.errors.length > 0 ? 1 : 0);
+      })
+      .catch((error) => {
+        console.error("Packaging failed:", error.message);
+        process.exit(1);
+      });
+    return;
+  }
+
   if (!fs.existsSync(finalConfig.outputDir)) {
     fs.mkdirSync(finalConfig.outputDir, { recursive: true });
   }
@@ -9,6 +9,32 @@ const fs = require("fs");
 const path = require("path");
 const { execSync, spawn } = require("child_process");
 const os = require("os");
+const signing = require("./lib/signing");
+const { BuildReport } = require("./lib/build-report");
+
+// Build tool behind each package type, for the build report
+const PACKAGE_TOOLS = {
+  node: "pkg",
+  electron: "electron-builder",
+  python: "pyinstaller",
+};
+
+// pkg's spellings of platform names in targets such as node18-win-x64
+const PKG_PLATFORMS = {
+  win: "win",
+  win32: "win",
+  windows: "win",
+  macos: "macos",
+  mac: "macos",
+  osx: "macos",
+  darwin: "macos",
+  linux: "linux",
+  lin: "linux",
+  linuxstatic: "linuxstatic",
+  alpine: "alpine",
+  freebsd: "freebsd",
+};
+const PKG_ARCHS = { arm: "armv7", ia32: "x86", x86_64: "x64" };
 
 class ExecutablePackager {
   constructor(config = {}) {
@@ -28,6 +54,9 @@ class ExecutablePackager {
       python: this.packagePythonApp.bind(this),
       web: this.packageWebApp.bind(this),
     };
+
+    // Replaced with a fresh report by every package() call
+    this.report = new BuildReport("package-exe", { config: this.config });
   }
 
   /**
@@ -41,8 +70,45 @@ class ExecutablePackager {
       throw new Error(`Unsupported package type: ${type}`);
     }
 
+    // Settings from the config file's section for this type, CLI options win
+    options = { ...this.config[type], ...options };
+
+    const report = new BuildReport("package-exe", {
+      type,
+      config: this.config,
+      options,
+    });
+    this.report = report;
+
     try {
-      await packageMethod(options);
+      // Check the signing setup before spending time on a build
+      const signingSettings = signing.getSigningSettings(this.config);
+      const signer =
+        signingSettings && type !== "electron"
+          ? signing.createSigner(signingSettings)
+          : null;
+
+      const outputs =
+        (await report.time("build", () =>
+          packageMethod(options, signingSettings)
+        )) || [];
+      if (signer) {
+        await report.time("sign", () => this.signOutputs(signer, outputs));
+      }
+
+      // Web builds have no build tool of their own yet
+      const tools = PACKAGE_TOOLS[type] ? [PACKAGE_TOOLS[type]] : [];
+      if (signer && signer.tool) {
+        tools.push(signer.tool);
+      }
+      report.addToolVersions(tools);
+      outputs.forEach((file) => {
+        report.addArtifact(file, {
+          signed: Boolean(signer) && file.toLowerCase().endsWith(".exe"),
+        });
+      });
+      await report.write(this.config.outputDir);
+
       console.log(`✅ Successfully packaged ${type} application!`);
     } catch (error) {
       console.error(`❌ Packaging failed: ${error.message}`);
@@ -59,7 +125,7 @@ class ExecutablePackager {
       outputName,
       assets = [],
       targets = ["node18-win-x64"],
-      ...otherOptions
+      writeConfig = false,
     } = options;
 
     console.log("📦 Installing pkg if not available...");
@@ -71,40 +137,57 @@ class ExecutablePackager {
     }
 
     const outputFileName = outputName || this.generateOutputName("node");
+    const pkgConfig = this.createPkgConfig(assets, targets);
+    if (writeConfig) {
+      this.writeConfigToPackageJson("./package.json", "pkg", pkgConfig);
+    }
+
+    // pkg reads assets and targets from the "pkg" block of a config file and
+    // resolves asset globs against its folder, so they have to be absolute
+    const configFile = this.writeTempConfig("pkg.config.json", {
+      name: this.config.appName,
+      pkg: {
+        ...pkgConfig,
+        assets: pkgConfig.assets.map((asset) =>
+          path.resolve(asset).split(path.sep).join("/")
+        ),
+      },
+    });
+    // pkg refuses --out-path next to --output, the output path holds the folder
+    const outputPath = path.join(this.config.outputDir, outputFileName);
     const pkgCommand = [
       "pkg",
       entryPoint,
-      "--out-path",
-      this.config.outputDir,
+      "--config",
+      `"${configFile}"`,
       "--output",
-      path.join(this.config.outputDir, outputFileName),
+      outputPath,
     ];
 
-    // Add targets
-    targets.forEach((target) => {
-      pkgCommand.push("--target", target);
-    });
-
-    // Add assets
-    assets.forEach((asset) => {
-      pkgCommand.push("--assets", asset);
-    });
+    try {
+      console.log(`📦 Running: ${pkgCommand.join(" ")}`);
+      execSync(pkgCommand.join(" "), { stdio: "inherit" });
+    } finally {
+      this.removeTempConfig(configFile);
+    }
 
-    console.log(`📦 Running: ${pkgCommand.join(" ")}`);
-    execSync(pkgCommand.join(" "), { stdio: "inherit" });
+    this.report.addInput(entryPoint, { role: "entry-point" });
+    this.report.addSbom(process.cwd());
 
-    // Create package.json for pkg if it doesn't exist
-    this.createPkgConfig(assets);
+    return this.getWrittenOutputs(
+      this.getPkgOutputPaths(outputPath, pkgConfig.targets)
+    );
   }
 
   /**
    * Package Electron application using electron-builder
    */
-  async packageElectronApp(options = {}) {
+  async packageElectronApp(options = {}, signingSettings = null) {
     const {
       packageJson = "./package.json",
       outputName,
-      ...otherOptions
+      build = {},
+      writeConfig = false,
     } = options;
 
     console.log("📦 Installing electron-builder if not available...");
@@ -115,16 +198,17 @@ class ExecutablePackager {
       execSync("npm install --save-dev electron-builder", { stdio: "inherit" });
     }
 
-    // Read package.json and update build config
+    // Start from the project's own build config, package.json stays untouched
     const pkg = JSON.parse(fs.readFileSync(packageJson, "utf8"));
     const outputFileName = outputName || this.generateOutputName("electron");
 
-    // Update package.json with build configuration
-    pkg.build = {
+    // Generated defaults, then the build section of the config file
+    const artifactName = `${outputFileName}-${this.config.version}.${
+      this.config.platform === "win32" ? "exe" : "dmg"
+    }`;
+    const buildConfig = {
       ...pkg.build,
-      artifactName: `${outputFileName}-${this.config.version}.${
-        this.config.platform === "win32" ? "exe" : "dmg"
-      }`,
+      artifactName,
       win: {
         target: "nsis",
         arch: [this.config.arch === "x64" ? "x64" : "ia32"],
@@ -135,17 +219,55 @@ class ExecutablePackager {
       linux: {
         target: "AppImage",
       },
-      ...otherOptions,
+      ...build,
     };
-
-    fs.writeFileSync(packageJson, JSON.stringify(pkg, null, 2));
+    if (writeConfig) {
+      this.writeConfigToPackageJson(packageJson, "build", buildConfig);
+    }
 
     // Build the application
     console.log("📦 Building Electron application...");
     execSync("npm run build", { stdio: "inherit" });
 
-    console.log("📦 Packaging Electron application...");
-    execSync("electron-builder", { stdio: "inherit" });
+    // electron-builder signs the app and the installer itself
+    const env = { ...process.env };
+    if (signingSettings) {
+      if (signingSettings.certificatePath) {
+        env.CSC_LINK = path.resolve(signingSettings.certificatePath);
+        if (signingSettings.password) {
+          env.CSC_KEY_PASSWORD = signingSettings.password;
+        }
+      } else {
+        this.report.warn(
+          "electron-builder only takes signing.certificatePath, configure other signers in build.win"
+        );
+      }
+    }
+
+    const projectDir = path.dirname(path.resolve(packageJson));
+    const configFile = this.writeTempConfig(
+      "electron-builder.json",
+      buildConfig
+    );
+    try {
+      console.log("📦 Packaging Electron application...");
+      execSync(
+        `electron-builder --config "${configFile}" --projectDir "${projectDir}"`,
+        { stdio: "inherit", env }
+      );
+    } finally {
+      this.removeTempConfig(configFile);
+    }
+    this.report.addInput(packageJson, { role: "package.json" });
+    this.report.addSbom(projectDir);
+
+    const builderOutputDir = path.resolve(
+      projectDir,
+      (buildConfig.directories && buildConfig.directories.output) || "dist"
+    );
+    return [path.join(builderOutputDir, artifactName)].filter((file) =>
+      fs.existsSync(file)
+    );
   }
 
   /**
@@ -199,6 +321,16 @@ class ExecutablePackager {
 
     console.log(`📦 Running: ${pyinstallerCommand.join(" ")}`);
     execSync(pyinstallerCommand.join(" "), { stdio: "inherit" });
+
+    this.report.addInput(entryPoint, { role: "entry-point" });
+
+    return this.getWrittenOutputs([
+      this.getPyInstallerOutputPath(
+        this.config.outputDir,
+        outputFileName,
+        oneFile
+      ),
+    ]);
   }
 
   /**
@@ -226,19 +358,122 @@ class ExecutablePackager {
   }
 
   /**
-   * Create pkg configuration in package.json
+   * Work out the files pkg writes for --output, the way pkg names them:
+   * one target writes the path as given, several add the parts of the
+   * target that differ, and Windows targets always end in .exe
+   */
+  getPkgOutputPaths(output, targets = []) {
+    const host = {
+      nodeRange: `node${process.versions.node.split(".")[0]}`,
+      platform: PKG_PLATFORMS[process.platform] || process.platform,
+      arch: PKG_ARCHS[process.arch] || process.arch,
+    };
+    const parsed = (targets.length > 0 ? targets : ["host"]).map((target) => {
+      const parts = { ...host };
+      if (target === "host") return parts;
+      target
+        .split("-")
+        .filter(Boolean)
+        .forEach((token) => {
+          if (/^(node\d+|latest)$/.test(token)) {
+            parts.nodeRange = token;
+          } else if (PKG_PLATFORMS[token]) {
+            parts.platform = PKG_PLATFORMS[token];
+          } else {
+            parts.arch = PKG_ARCHS[token] || token;
+          }
+        });
+      return parts;
+    });
+
+    const differs = (key) =>
+      new Set(parsed.map((parts) => parts[key])).size > 1;
+    const keys = ["nodeRange", "platform", "arch"].filter(differs);
+    return parsed.map((parts) => {
+      let file =
+        parsed.length === 1
+          ? output
+          : [output, ...keys.map((key) => parts[key])].join("-");
+      if (parts.platform === "win" && path.extname(file) !== ".exe") {
+        file += ".exe";
+      }
+      return file;
+    });
+  }
+
+  /**
+   * The executable PyInstaller writes for --name, inside its own folder
+   * for --onedir builds
+   */
+  getPyInstallerOutputPath(distPath, name, oneFile) {
+    const fileName =
+      process.platform === "win32" && !name.toLowerCase().endsWith(".exe")
+        ? `${name}.exe`
+        : name;
+    return oneFile
+      ? path.join(distPath, fileName)
+      : path.join(distPath, name, fileName);
+  }
+
+  /**
+   * Keep the output paths a build was asked to write that it did write
    */
-  createPkgConfig(assets = []) {
-    const pkgJsonPath = "./package.json";
-
-    if (fs.existsSync(pkgJsonPath)) {
-      const pkg = JSON.parse(fs.readFileSync(pkgJsonPath, "utf8"));
-      pkg.pkg = {
-        assets: assets,
-        targets: ["node18-win-x64"],
-      };
-      fs.writeFileSync(pkgJsonPath, JSON.stringify(pkg, null, 2));
+  getWrittenOutputs(outputPaths) {
+    return outputPaths.filter(
+      (file) => fs.existsSync(file) && fs.statSync(file).isFile()
+    );
+  }
+
+  /**
+   * Sign each built Windows executable and check the signature
+   */
+  signOutputs(signer, outputs) {
+    const executables = outputs.filter((file) =>
+      file.toLowerCase().endsWith(".exe")
+    );
+    if (executables.length === 0) {
+      this.report.warn("No Windows executables to sign");
+      return;
     }
+    executables.forEach((file) => {
+      console.log(`🔏 Signing ${path.basename(file)}...`);
+      signing.signFile(signer, file);
+      console.log(`✅ Signed ${path.basename(file)}`);
+    });
+  }
+
+  /**
+   * Build the "pkg" config block
+   */
+  createPkgConfig(assets = [], targets = []) {
+    return {
+      assets: [].concat(assets),
+      targets: [].concat(targets),
+    };
+  }
+
+  /**
+   * Write a generated tool config to a private temporary folder
+   */
+  writeTempConfig(fileName, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "package-exe-"));
+    const configFile = path.join(dir, fileName);
+    fs.writeFileSync(configFile, JSON.stringify(contents, null, 2));
+    return configFile;
+  }
+
+  removeTempConfig(configFile) {
+    fs.rmSync(path.dirname(configFile), { recursive: true, force: true });
+  }
+
+  /**
+   * Persist a generated config block into package.json (--write-config)
+   */
+  writeConfigToPackageJson(packageJson, key, value) {
+    const pkg = JSON.parse(fs.readFileSync(packageJson, "utf8"));
+    pkg[key] = value;
+    fs.writeFileSync(packageJson, JSON.stringify(pkg, null, 2) + "\n");
+    console.log(`📝 Saved the "${key}" config to ${packageJson}`);
   }
 
   /**
@@ -283,6 +518,7 @@ Types:
 
 Options:
   --config <file>  - Use configuration file (JSON)
+  --write-config  - Also save the generated pkg or electron-builder config to package.json
   --help          - Show this help message
 
 Examples:
@@ -306,18 +542,34 @@ Configuration file format:
   const type = args[0];
   const options = {};
 
-  // Parse command line options
-  for (let i = 1; i < args.length; i += 2) {
-    const key = args[i].replace("--", "");
-    const value = args[i + 1];
-    options[key] = value;
+  // Flags that take no value, and flags that can be given more than once
+  const booleanFlags = ["write-config", "one-file"];
+  const listFlags = ["assets", "targets", "add-data", "hidden-imports"];
+
+  // Parse command line options, --entry-point becomes entryPoint
+  for (let i = 1; i < args.length; i++) {
+    const flag = args[i].replace("--", "");
+    const key = flag.replace(/-([a-z])/g, (match, letter) =>
+      letter.toUpperCase()
+    );
+    if (booleanFlags.includes(flag)) {
+      options[key] = true;
+      continue;
+    }
+    const value = args[++i];
+    if (listFlags.includes(flag)) {
+      options[key] = (options[key] || []).concat(value);
+    } else {
+      options[key] = value;
+    }
   }
+  const { config: configPath, ...packageOptions } = options;
 
   // Load configuration file if specified
   let config = {};
-  if (options.config) {
+  if (configPath) {
     try {
-      config = JSON.parse(fs.readFileSync(options.config, "utf8"));
+      config = JSON.parse(fs.readFileSync(configPath, "utf8"));
     } catch (error) {
       console.error(`Failed to load config file: ${error.message}`);
       process.exit(1);
@@ -330,7 +582,7 @@ Configuration file format:
   packager.validateConfig();
   packager.ensureOutputDir();
 
-  packager.package(type, options).catch((error) => {
+  packager.package(type, packageOptions).catch((error) => {
     console.error("Packaging failed:", error.message);
     process.exit(1);
   });
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createSbom } = require("../scripts/lib/build-report");
+const { makeTempDir } = require("./helpers");
+
+const LOCKFILE_V3 = {
+  name: "toolkit",
+  version: "2.0.0",
+  lockfileVersion: 3,
+  packages: {
+    "": { name: "toolkit", version: "2.0.0" },
+    "node_modules/unzip": {
+      version: "1.0.0",
+      dependencies: { crc: "^1.0.0", helper: "^2.0.0" },
+      optionalDependencies: { "native-speedup": "^1.0.0" },
+    },
+    "node_modules/unzip/node_modules/helper": {
+      version: "2.0.0",
+      license: "MIT",
+    },
+    "node_modules/crc": { version: "1.2.0", dev: true },
+    "node_modules/helper": { version: "1.0.0" },
+    "node_modules/bundler": { version: "5.0.0" },
+    "node_modules/test-runner": { version: "3.0.0", dev: true },
+  },
+};
+
+function writeLockfile(t, lockfile) {
+  const lockfilePath = path.join(makeTempDir(t), "package-lock.json");
+  fs.writeFileSync(lockfilePath, JSON.stringify(lockfile));
+  return lockfilePath;
+}
+
+const listComponents = (sbom) =>
+  sbom.components.map((component) => `${component.name}@${component.version}`);
+
+test("createSbom lists the production dependencies of a project", (t) => {
+  const sbom = createSbom(writeLockfile(t, LOCKFILE_V3));
+
+  assert.deepStrictEqual(listComponents(sbom), [
+    "bundler@5.0.0",
+    "helper@1.0.0",
+    "helper@2.0.0",
+    "unzip@1.0.0",
+  ]);
+  assert.strictEqual(sbom.metadata.component.name, "toolkit");
+});
+
+test("createSbom with roots lists only their dependency closure", (t) => {
+  const sbom = createSbom(writeLockfile(t, LOCKFILE_V3), {
+    roots: ["unzip"],
+    component: { name: "My Mod", version: "1.0.0" },
+  });
+
+  // Nested copies win over hoisted ones, missing optional packages are fine
+  assert.deepStrictEqual(listComponents(sbom), [
+    "crc@1.2.0",
+    "helper@2.0.0",
+    "unzip@1.0.0",
+  ]);
+  assert.deepStrictEqual(sbom.metadata.component, {
+    type: "application",
+    "bom-ref": "My Mod@1.0.0",
+    name: "My Mod",
+    version: "1.0.0",
+  });
+  assert.throws(
+    () => createSbom(writeLockfile(t, LOCKFILE_V3), { roots: ["missing"] }),
+    /missing is not in the lockfile/
+  );
+});
+
+test("createSbom with roots follows requires in a version 1 lockfile", (t) => {
+  const sbom = createSbom(
+    writeLockfile(t, {
+      name: "toolkit",
+      version: "2.0.0",
+      lockfileVersion: 1,
+      dependencies: {
+        unzip: {
+          version: "1.0.0",
+          requires: { crc: "^1.0.0", helper: "^2.0.0" },
+          dependencies: { helper: { version: "2.0.0" } },
+        },
+        crc: { version: "1.2.0" },
+        helper: { version: "1.0.0" },
+        bundler: { version: "5.0.0" },
+      },
+    }),
+    { roots: ["unzip"] }
+  );
+
+  assert.deepStrictEqual(listComponents(sbom), [
+    "crc@1.2.0",
+    "helper@2.0.0",
+    "unzip@1.0.0",
+  ]);
+});
+
+// The lockfile is not committed, so this needs an npm install first
+const OWN_LOCKFILE = path.join(__dirname, "..", "package-lock.json");
+
+test(
+  "the installer SBOM leaves out the packer's own dependencies",
+  { skip: !fs.existsSync(OWN_LOCKFILE) },
+  () => {
+    const sbom = createSbom(OWN_LOCKFILE, {
+      roots: ["yauzl", "semver", "cli-progress"],
+    });
+    const names = sbom.components.map((component) => component.name);
+
+    ["yauzl", "semver", "cli-progress"].forEach((name) =>
+      assert.ok(names.includes(name), name)
+    );
+    ["archiver", "ora", "resedit", "picomatch", "ignore"].forEach((name) =>
+      assert.ok(!names.includes(name), name)
+    );
+  }
+);
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+const FilePacker = require("../scripts/pack-files");
+const { EXIT_CODES } = require("../scripts/extractor/runtime");
+const {
+  makeTempDir,
+  writeTree,
+  readTree,
+  buildInstaller,
+  runInstaller,
+} = require("./helpers");
+
+const PACKER = path.join(__dirname, "..", "scripts", "pack-files.js");
+const SOURCE_DATE_EPOCH = "1700000000";
+
+const FIXTURE = {
+  "b.txt": "b",
+  "a.txt": "a",
+  "sub/z.json": "{}",
+  "sub/run.sh": "#!/bin/sh\n",
+};
+
+/**
+ * Pack a folder in a separate process, so the time zone and environment
+ * are its own, and return the archive's SHA-256
+ */
+function packInChildProcess(folder, outputPath, env) {
+  const script = `
+    const FilePacker = require(${JSON.stringify(PACKER)});
+    const [folder, outputPath] = process.argv.slice(1);
+    new FilePacker({ appName: "Test App", deterministic: true })
+      .createArchive([], [folder], outputPath)
+      .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+      });
+  `;
+  const childEnv = { ...process.env, ...env };
+  if (!env.SOURCE_DATE_EPOCH) delete childEnv.SOURCE_DATE_EPOCH;
+  const result = spawnSync(
+    process.execPath,
+    ["-e", script, folder, outputPath],
+    {
+      env: childEnv,
+      encoding: "utf8",
+      timeout: 60000,
+    }
+  );
+  assert.strictEqual(result.status, 0, result.stderr);
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(outputPath))
+    .digest("hex");
+}
+
+test("packing the same tree twice gives identical archives", (t) => {
+  const dir = makeTempDir(t);
+  const folder = writeTree(path.join(dir, "app"), FIXTURE);
+  fs.chmodSync(path.join(folder, "sub", "run.sh"), 0o755);
+
+  const first = packInChildProcess(folder, path.join(dir, "first.zip"), {
+    TZ: "UTC",
+    SOURCE_DATE_EPOCH,
+  });
+
+  // Same contents, but new file times, looser modes and another time zone
+  const later = new Date("2031-05-06T07:08:09Z");
+  Object.keys(FIXTURE).forEach((name) => {
+    fs.utimesSync(path.join(folder, name), later, later);
+  });
+  fs.chmodSync(path.join(folder, "a.txt"), 0o664);
+  fs.chmodSync(path.join(folder, "sub", "run.sh"), 0o775);
+  const second = packInChildProcess(folder, path.join(dir, "second.zip"), {
+    TZ: "Pacific/Auckland",
+    SOURCE_DATE_EPOCH,
+  });
+
+  assert.strictEqual(second, first);
+});
+
+test("SOURCE_DATE_EPOCH sets the date stored in the archive", (t) => {
+  const dir = makeTempDir(t);
+  const folder = writeTree(path.join(dir, "app"), FIXTURE);
+
+  const dated = packInChildProcess(folder, path.join(dir, "dated.zip"), {
+    SOURCE_DATE_EPOCH,
+  });
+  const otherDate = packInChildProcess(folder, path.join(dir, "other.zip"), {
+    SOURCE_DATE_EPOCH: "1800000000",
+  });
+  const undated = packInChildProcess(folder, path.join(dir, "undated.zip"), {});
+  const undatedAgain = packInChildProcess(
+    folder,
+    path.join(dir, "undated-again.zip"),
+    { TZ: "America/Los_Angeles" }
+  );
+
+  assert.notStrictEqual(otherDate, dated);
+  assert.notStrictEqual(undated, dated);
+  assert.strictEqual(undatedAgain, undated);
+});
+
+test("installing a deterministic package keeps install times", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), FIXTURE);
+  const installer = await buildInstaller(
+    dir,
+    { deterministic: true },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+  const startedAt = Date.now() - 2000;
+
+  const result = runInstaller(installer, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  const installed = fs.statSync(path.join(target, "app", "a.txt"));
+  assert.ok(installed.mtimeMs >= startedAt, "mtime is the install time");
+});
+
+test("deterministic packages refuse keep-newer", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), FIXTURE);
+
+  assert.throws(
+    () =>
+      new FilePacker({
+        deterministic: true,
+        conflicts: { rules: [{ match: "*.json", policy: "keep-newer" }] },
+      }).getConflictPolicy(),
+    /cannot be keep-newer in a deterministic build/
+  );
+
+  const installer = await buildInstaller(
+    dir,
+    { deterministic: true },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+  writeTree(target, { "app/a.txt": "edited" });
+  const result = runInstaller(installer, [
+    "--target",
+    target,
+    "--overwrite",
+    "newer",
+  ]);
+
+  assert.strictEqual(result.status, EXIT_CODES.INVALID_ARGS, result.stdout);
+  assert.match(result.stdout, /--overwrite=newer needs file dates/);
+  assert.strictEqual(readTree(target)["app/a.txt"], "edited");
+});
@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  SELECTION_CANCELLED,
+  directoryProviders,
+  selectTargetDir,
+  EXIT_CODES,
+} = require("../scripts/extractor/runtime");
+const {
+  makeTempDir,
+  writeTree,
+  readTree,
+  quietly,
+  buildInstaller,
+  runInstaller,
+} = require("./helpers");
+
+/**
+ * A provider context like createProviderContext builds, with dialogs faked
+ */
+function createContext(overrides = {}) {
+  return {
+    args: {},
+    env: {},
+    envVar: "TEST_INSTALL_DIR",
+    platform: "linux",
+    title: "Select the folder",
+    detectGame: () => null,
+    getDefaultPath: () => "/home/user/Games",
+    run: () => ({ error: new Error("spawn ENOENT") }),
+    ...overrides,
+  };
+}
+
+test("cli provider answers with --target", () => {
+  assert.strictEqual(
+    directoryProviders.cli(createContext({ args: { target: "/opt/app" } })),
+    "/opt/app"
+  );
+  assert.strictEqual(directoryProviders.cli(createContext()), null);
+});
+
+test("env provider reads and expands the configured variable", () => {
+  const context = createContext({
+    env: { TEST_INSTALL_DIR: "~/mods" },
+  });
+  assert.match(directoryProviders.env(context), /[\\/]mods$/);
+  assert.notStrictEqual(directoryProviders.env(context), "~/mods");
+  assert.strictEqual(directoryProviders.env(createContext()), null);
+  assert.strictEqual(
+    directoryProviders.env(createContext({ envVar: undefined })),
+    null
+  );
+});
+
+test("game provider answers with the detected folder", () => {
+  const context = createContext({ detectGame: () => "/games/Example" });
+  assert.strictEqual(directoryProviders.game(context), "/games/Example");
+  assert.strictEqual(directoryProviders.game(createContext()), null);
+});
+
+test("Linux dialog passes without a desktop and tries kdialog after zenity", async () => {
+  const calls = [];
+  const run = (command) => {
+    calls.push(command);
+    return command === "kdialog"
+      ? { status: 0, stdout: "/home/user/Picked\n" }
+      : { error: new Error("spawn ENOENT") };
+  };
+
+  assert.strictEqual(
+    await quietly(() => directoryProviders.dialog(createContext({ run }))),
+    null
+  );
+  assert.deepStrictEqual(calls, []);
+
+  const context = createContext({ env: { DISPLAY: ":0" }, run });
+  assert.strictEqual(
+    await quietly(() => directoryProviders.dialog(context)),
+    "/home/user/Picked"
+  );
+  assert.deepStrictEqual(calls, ["zenity", "kdialog"]);
+});
+
+test("dialogs report cancelling as SELECTION_CANCELLED", async () => {
+  const linux = createContext({
+    env: { WAYLAND_DISPLAY: "wayland-0" },
+    run: () => ({ status: 1, stdout: "" }),
+  });
+  const mac = createContext({
+    platform: "darwin",
+    run: () => ({ status: 1, stderr: "User canceled. (-128)" }),
+  });
+
+  assert.strictEqual(
+    await quietly(() => directoryProviders.dialog(linux)),
+    SELECTION_CANCELLED
+  );
+  assert.strictEqual(
+    await quietly(() => directoryProviders.dialog(mac)),
+    SELECTION_CANCELLED
+  );
+});
+
+test("selectTargetDir uses the first provider that answers", async () => {
+  const context = createContext({
+    env: { TEST_INSTALL_DIR: "relative/mods" },
+    detectGame: () => "/games/Example",
+  });
+
+  assert.strictEqual(
+    await quietly(() => selectTargetDir(["cli", "env", "game"], context)),
+    path.resolve("relative/mods")
+  );
+  assert.strictEqual(
+    await quietly(() => selectTargetDir(["cli"], context)),
+    null
+  );
+});
+
+test("selectTargetDir stops when a provider is cancelled", async () => {
+  const context = createContext({
+    env: { DISPLAY: ":0" },
+    run: () => ({ status: 1 }),
+    detectGame: () => "/games/Example",
+  });
+
+  assert.strictEqual(
+    await quietly(() => selectTargetDir(["dialog", "game"], context)),
+    null
+  );
+});
+
+test("--target wins even when the providers leave out cli", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), { "a.txt": "a" });
+  const installer = await buildInstaller(
+    dir,
+    { directory: { providers: ["env"], envVar: "TEST_INSTALL_DIR" } },
+    { folders: [source] }
+  );
+  const fromEnv = path.join(dir, "from-env");
+  const fromTarget = path.join(dir, "from-target");
+
+  const result = runInstaller(installer, ["--target", fromTarget], {
+    TEST_INSTALL_DIR: fromEnv,
+  });
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  assert.strictEqual(readTree(fromTarget)["app/a.txt"], "a");
+  assert.strictEqual(fs.existsSync(fromEnv), false);
+});
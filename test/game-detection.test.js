@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const {
+  parseVdf,
+  findSteamLibraries,
+  findSteamGame,
+  findEpicGame,
+  detectGamePath,
+} = require("../scripts/extractor/runtime");
+const { makeTempDir, writeTree } = require("./helpers");
+
+const GAME = {
+  name: "Example Game",
+  folderName: "ExampleGame",
+  steamAppId: "480",
+  markerFile: "ExampleGame.exe",
+  subpath: "BepInEx/plugins",
+};
+
+/**
+ * A Steam install with the game in a second library folder
+ */
+function createSteamFixture(dir) {
+  const steamRoot = path.join(dir, "Steam");
+  const library = path.join(dir, "SteamLibrary");
+  writeTree(steamRoot, {
+    "steamapps/libraryfolders.vdf": `"libraryfolders"
+{
+	"0"
+	{
+		"path"		${JSON.stringify(steamRoot)}
+		"apps" { "10" "1024" }
+	}
+	"1"
+	{
+		"path"		${JSON.stringify(library)}
+	}
+}
+`,
+  });
+  writeTree(library, {
+    "steamapps/appmanifest_480.acf": `"AppState"
+{
+	"appid"		"480"
+	"name"		"Example Game"
+	"installdir"		"ExampleGame"
+}
+`,
+    "steamapps/common/ExampleGame/ExampleGame.exe": "",
+  });
+  return { steamRoot, library };
+}
+
+test("parseVdf reads nested blocks, escapes and comments", () => {
+  const parsed = parseVdf(`// written by Steam
+"libraryfolders"
+{
+	"0"
+	{
+		"path"		"C:\\\\Program Files (x86)\\\\Steam"
+		"label"		"say \\"hi\\""
+	}
+	"1"		"D:\\\\Games"
+}
+`);
+
+  assert.deepStrictEqual(parsed, {
+    libraryfolders: {
+      0: { path: "C:\\Program Files (x86)\\Steam", label: 'say "hi"' },
+      1: "D:\\Games",
+    },
+  });
+});
+
+test("findSteamLibraries lists the root and every library folder", (t) => {
+  const { steamRoot, library } = createSteamFixture(makeTempDir(t));
+
+  assert.deepStrictEqual(findSteamLibraries(steamRoot), [steamRoot, library]);
+});
+
+test("findSteamLibraries falls back to the root without libraryfolders.vdf", (t) => {
+  const steamRoot = makeTempDir(t);
+
+  assert.deepStrictEqual(findSteamLibraries(steamRoot), [steamRoot]);
+});
+
+test("findSteamGame matches by app id, folder or display name", (t) => {
+  const { steamRoot, library } = createSteamFixture(makeTempDir(t));
+  const gameDir = path.join(library, "steamapps", "common", "ExampleGame");
+
+  assert.strictEqual(findSteamGame(GAME, [steamRoot]), gameDir);
+  assert.strictEqual(
+    findSteamGame({ ...GAME, steamAppId: undefined }, [steamRoot]),
+    gameDir
+  );
+  assert.strictEqual(
+    findSteamGame({ name: "Example Game", markerFile: GAME.markerFile }, [
+      steamRoot,
+    ]),
+    gameDir
+  );
+  assert.strictEqual(
+    findSteamGame({ ...GAME, markerFile: "Other.exe" }, [steamRoot]),
+    null
+  );
+});
+
+test("findEpicGame reads .item manifests", (t) => {
+  const dir = makeTempDir(t);
+  const gameDir = path.join(dir, "Epic Games", "ExampleGame");
+  const manifestDir = writeTree(path.join(dir, "Manifests"), {
+    "broken.item": "{ not json",
+    "other.item": JSON.stringify({
+      DisplayName: "Other Game",
+      InstallLocation: path.join(dir, "Epic Games", "OtherGame"),
+    }),
+    "ABC123.item": JSON.stringify({
+      DisplayName: "Example Game",
+      InstallLocation: gameDir,
+    }),
+  });
+  writeTree(gameDir, { "ExampleGame.exe": "" });
+
+  assert.strictEqual(findEpicGame(GAME, [manifestDir]), gameDir);
+  assert.strictEqual(
+    findEpicGame({ ...GAME, name: "Nope", folderName: "Nope" }, [manifestDir]),
+    null
+  );
+  assert.strictEqual(findEpicGame(GAME, [path.join(dir, "missing")]), null);
+});
+
+test("detectGamePath tries Steam, then Epic, then custom roots", (t) => {
+  const dir = makeTempDir(t);
+  const { steamRoot, library } = createSteamFixture(dir);
+  const customRoot = path.join(dir, "Games");
+  writeTree(customRoot, { "ExampleGame/ExampleGame.exe": "" });
+  const roots = {
+    steamRoots: [steamRoot],
+    epicManifestDirs: [],
+    customRoots: [customRoot],
+  };
+
+  assert.strictEqual(
+    detectGamePath(GAME, roots),
+    path.join(library, "steamapps", "common", "ExampleGame", GAME.subpath)
+  );
+  assert.strictEqual(
+    detectGamePath(GAME, { ...roots, steamRoots: [] }),
+    path.join(customRoot, "ExampleGame", GAME.subpath)
+  );
+  assert.strictEqual(
+    detectGamePath({ ...GAME, markerFile: "Missing.exe" }, roots),
+    null
+  );
+  assert.strictEqual(detectGamePath(null, roots), null);
+});
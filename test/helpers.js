@@ -0,0 +1,111 @@
+/**
+ * Shared fixtures for the test suite: temporary folders, packed archives
+ * and installer runs in a child process
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { spawnSync } = require("child_process");
+const FilePacker = require("../scripts/pack-files");
+
+const INSTALL_TIMEOUT = 60000;
+
+/**
+ * Create a temporary folder that is removed when the test finishes
+ */
+function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "exe-packager-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write files from a { "relative/path": content } map under root
+ */
+function writeTree(root, files) {
+  Object.entries(files).forEach(([relativePath, content]) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+  return root;
+}
+
+/**
+ * Read every file under root back into a { "relative/path": content } map
+ */
+function readTree(root, dir = root, files = {}) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((item) => {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      readTree(root, fullPath, files);
+    } else {
+      const relativePath = path.relative(root, fullPath).split(path.sep);
+      files[relativePath.join("/")] = fs.readFileSync(fullPath, "utf8");
+    }
+  });
+  return files;
+}
+
+/**
+ * Run a function with console.log muted, the packer is chatty
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Pack folders into <workDir>/<archive> and write the extractor next to it,
+ * the way packFiles does before handing the stub to pkg. Pass from to build
+ * an update against an earlier archive.
+ */
+async function buildInstaller(
+  workDir,
+  config,
+  { files = [], folders = [], from = null }
+) {
+  const packer = new FilePacker({ outputDir: workDir, ...config });
+  const archiveFileName = "package_archive.zip";
+  const archivePath = path.join(workDir, archiveFileName);
+  const base = from ? await packer.readBaseManifest(from) : null;
+  const entries = await quietly(() =>
+    packer.createArchive(files, folders, archivePath, [], base)
+  );
+  const extractorPath = packer.writeExtractor(workDir, archiveFileName);
+  return { packer, archivePath, extractorPath, entries };
+}
+
+/**
+ * Run the extractor with node. It has no embedded payload, so the runtime
+ * picks up the archive from the working directory
+ */
+function runInstaller(installer, args, env = {}) {
+  const result = spawnSync(
+    process.execPath,
+    [installer.extractorPath, "--silent", ...args],
+    {
+      cwd: path.dirname(installer.archivePath),
+      env: { ...process.env, ...env },
+      encoding: "utf8",
+      timeout: INSTALL_TIMEOUT,
+    }
+  );
+  if (result.error) throw result.error;
+  return result;
+}
+
+module.exports = {
+  makeTempDir,
+  writeTree,
+  readTree,
+  quietly,
+  buildInstaller,
+  runInstaller,
+};
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  makeTempDir,
+  writeTree,
+  readTree,
+  buildInstaller,
+  runInstaller,
+} = require("./helpers");
+const { EXIT_CODES } = require("../scripts/extractor/runtime");
+
+const APP_FILES = {
+  "config.json": '{ "enabled": true }\n',
+  "bin/tool.js": "console.log('tool');\n",
+  "assets/images/logo.txt": "logo\n",
+};
+
+test("installs a packed folder through the runtime", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), APP_FILES);
+  const installer = await buildInstaller(
+    dir,
+    { appName: "Test App", version: "1.2.3" },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+
+  const result = runInstaller(installer, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  const installed = readTree(target);
+  Object.entries(APP_FILES).forEach(([name, content]) => {
+    assert.strictEqual(installed[`app/${name}`], content);
+  });
+});
+
+test("verifies an install and then removes it", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), APP_FILES);
+  const installer = await buildInstaller(
+    dir,
+    { appName: "Test App" },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+  runInstaller(installer, ["--target", target]);
+
+  const verify = runInstaller(installer, ["--verify", "--target", target]);
+  assert.strictEqual(verify.status, EXIT_CODES.SUCCESS, verify.stdout);
+
+  fs.writeFileSync(path.join(target, "app", "config.json"), "changed");
+  const tampered = runInstaller(installer, ["--verify", "--target", target]);
+  assert.strictEqual(tampered.status, EXIT_CODES.VERIFICATION_FAILED);
+
+  const removed = runInstaller(installer, ["--uninstall", "--target", target]);
+  assert.strictEqual(removed.status, EXIT_CODES.SUCCESS, removed.stdout);
+  assert.deepStrictEqual(readTree(target), {});
+});
+
+// DOS times have two-second resolution, so use an even timestamp
+const SOURCE_TIME = new Date("2024-03-10T12:00:00Z");
+
+for (const timeZone of ["Asia/Tokyo", "America/New_York"]) {
+  test(`keeps source modification times in ${timeZone}`, async (t) => {
+    const dir = makeTempDir(t);
+    const source = writeTree(path.join(dir, "app"), APP_FILES);
+    fs.utimesSync(path.join(source, "config.json"), SOURCE_TIME, SOURCE_TIME);
+    const installer = await buildInstaller(dir, {}, { folders: [source] });
+    const target = path.join(dir, "install");
+
+    runInstaller(installer, ["--target", target], { TZ: timeZone });
+
+    const installed = fs.statSync(path.join(target, "app", "config.json"));
+    assert.strictEqual(installed.mtimeMs, SOURCE_TIME.getTime());
+  });
+}
+
+test("--overwrite newer compares times without a time zone shift", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), APP_FILES);
+  fs.utimesSync(path.join(source, "config.json"), SOURCE_TIME, SOURCE_TIME);
+  const installer = await buildInstaller(dir, {}, { folders: [source] });
+  const target = path.join(dir, "install");
+  const existing = writeTree(target, { "app/config.json": "edited" });
+
+  // An hour newer than the packed file, but older than it would look if
+  // the archive time were read as New York local time
+  const edited = new Date(SOURCE_TIME.getTime() + 60 * 60 * 1000);
+  fs.utimesSync(path.join(existing, "app", "config.json"), edited, edited);
+  const result = runInstaller(
+    installer,
+    ["--target", target, "--overwrite", "newer"],
+    { TZ: "America/New_York" }
+  );
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  assert.strictEqual(readTree(target)["app/config.json"], "edited");
+});
+
+test("uninstall removes .bak copies from the backup policy", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), APP_FILES);
+  const installer = await buildInstaller(
+    dir,
+    { conflicts: { default: "backup" } },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+  runInstaller(installer, ["--target", target]);
+  fs.writeFileSync(path.join(target, "app", "config.json"), "edited");
+
+  const reinstall = runInstaller(installer, ["--target", target]);
+  assert.strictEqual(reinstall.status, EXIT_CODES.SUCCESS, reinstall.stdout);
+  assert.strictEqual(readTree(target)["app/config.json.bak"], "edited");
+
+  const removed = runInstaller(installer, ["--uninstall", "--target", target]);
+  assert.strictEqual(removed.status, EXIT_CODES.SUCCESS, removed.stdout);
+  assert.deepStrictEqual(fs.readdirSync(target), []);
+});
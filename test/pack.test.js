@@ -0,0 +1,279 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const FilePacker = require("../scripts/pack-files");
+const { makeTempDir, writeTree, quietly } = require("./helpers");
+
+// Creating links on Windows needs developer mode or admin rights
+const canSymlink = process.platform !== "win32";
+
+test("resolveEntries lists folder files below the folder name", (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), {
+    "a.txt": "a",
+    "sub/b.txt": "b",
+  });
+
+  const entries = new FilePacker().resolveEntries([], [source]);
+
+  assert.deepStrictEqual(entries.map((entry) => entry.name).sort(), [
+    "app/a.txt",
+    "app/sub/b.txt",
+  ]);
+});
+
+test("resolveEntries refuses linked files", { skip: !canSymlink }, (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), { "a.txt": "a" });
+  fs.symlinkSync(path.join(source, "a.txt"), path.join(source, "link.txt"));
+  fs.symlinkSync(path.join(dir, "missing"), path.join(source, "broken.txt"));
+
+  assert.throws(
+    () => new FilePacker().resolveEntries([], [source]),
+    (error) =>
+      /Symbolic links cannot be packed/.test(error.message) &&
+      error.message.includes("app/link.txt") &&
+      error.message.includes("app/broken.txt") &&
+      !error.message.includes("app/a.txt")
+  );
+});
+
+test("resolveEntries refuses linked folders", { skip: !canSymlink }, (t) => {
+  const dir = makeTempDir(t);
+  const shared = writeTree(path.join(dir, "shared"), { "c.txt": "c" });
+  const source = writeTree(path.join(dir, "app"), { "a.txt": "a" });
+  fs.symlinkSync(shared, path.join(source, "shared"), "dir");
+
+  assert.throws(
+    () => new FilePacker().resolveEntries([], [source]),
+    /Symbolic links cannot be packed[\s\S]*app\/shared/
+  );
+  assert.throws(
+    () => new FilePacker().resolveEntries([path.join(source, "shared")], []),
+    /Symbolic links cannot be packed/
+  );
+});
+
+test("planPackage for an update lists changes against the base", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), {
+    "same.txt": "same",
+    "changed.txt": "old",
+    "removed.txt": "gone",
+  });
+  const basePath = path.join(dir, "base.zip");
+  const config = { appName: "Test App", outputDir: dir };
+  await quietly(() =>
+    new FilePacker({ ...config, version: "1.0.0" }).createArchive(
+      [],
+      [source],
+      basePath
+    )
+  );
+  fs.writeFileSync(path.join(source, "changed.txt"), "new");
+  fs.writeFileSync(path.join(source, "added.txt"), "added");
+  fs.rmSync(path.join(source, "removed.txt"));
+
+  const plan = await new FilePacker({
+    ...config,
+    version: "1.1.0",
+  }).planPackage({ folders: [source], from: basePath });
+
+  assert.deepStrictEqual(plan.errors, []);
+  assert.deepStrictEqual(plan.update, {
+    baseVersion: "1.0.0",
+    deletions: [
+      {
+        path: "app/removed.txt",
+        size: 4,
+        sha256: crypto.createHash("sha256").update("gone").digest("hex"),
+        conflict: "overwrite",
+      },
+    ],
+    added: 1,
+    changed: 1,
+    unchanged: 1,
+  });
+  assert.deepStrictEqual(plan.entries.map((entry) => entry.name).sort(), [
+    "app/added.txt",
+    "app/changed.txt",
+  ]);
+  assert.strictEqual(
+    plan.outputs[0].outputName,
+    "Test_App-1.1.0-update-from-1.0.0.exe"
+  );
+});
+
+test("planPackage reports a bad base package as an error", async (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), { "a.txt": "a" });
+
+  const plan = await new FilePacker({ outputDir: dir }).planPackage({
+    folders: [source],
+    from: path.join(dir, "missing.exe"),
+  });
+
+  assert.match(plan.errors.join("\n"), /Base package not found/);
+});
+
+test("resolveEntries refuses files inside the installer's metadata folder", (t) => {
+  const dir = makeTempDir(t);
+  const dll = path.join(
+    writeTree(path.join(dir, "build"), { "A.dll": "a" }),
+    "A.dll"
+  );
+  const metadata = writeTree(path.join(dir, ".installer"), { "x.json": "{}" });
+  const packer = new FilePacker();
+
+  for (const to of [".installer", "./.installer/plugins", ".Installer"]) {
+    assert.throws(
+      () => packer.resolveEntries([], [], [{ from: dll, to }]),
+      /cannot be inside \.installer\//
+    );
+  }
+  assert.throws(
+    () => packer.resolveEntries([], [metadata]),
+    /\.installer\/ is reserved for the installer[\s\S]*\.installer\/x\.json/
+  );
+  assert.doesNotThrow(() =>
+    packer.resolveEntries(
+      [],
+      [],
+      [{ from: dll, to: "plugins/.installer-data" }]
+    )
+  );
+});
+
+test("console wrappers pass their arguments on to the installer", async (t) => {
+  const dir = makeTempDir(t);
+  const packer = new FilePacker();
+
+  await quietly(() => {
+    packer.createConsoleWrapper(path.join(dir, "App.exe"), "node18-win-x64");
+    packer.createConsoleWrapper(path.join(dir, "App"), "node18-linux-x64");
+  });
+
+  const batch = fs.readFileSync(
+    packer.getWrapperPath(path.join(dir, "App.exe"), "node18-win-x64"),
+    "utf8"
+  );
+  assert.match(batch, /^"%~dp0App\.exe" %\*\r?$/m);
+  const script = fs.readFileSync(
+    packer.getWrapperPath(path.join(dir, "App"), "node18-linux-x64"),
+    "utf8"
+  );
+  assert.match(script, /\/'App' "\$@"$/m);
+});
+
+test("layout places folders, globs and renamed files below their target", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, {
+    "build/App.dll": "app",
+    "build/Sub/Extra.dll": "extra",
+    "build/App.pdb": "pdb",
+    "data/maps/one.map": "one",
+    "readme.txt": "readme",
+  });
+
+  const entries = new FilePacker().resolveEntries(
+    [],
+    [],
+    [
+      { from: path.join(dir, "build", "**", "*.dll"), to: "BepInEx/plugins" },
+      { from: path.join(dir, "data"), to: "./Mods\\Maps/" },
+      { from: path.join(dir, "readme.txt"), to: "", rename: "README.md" },
+    ]
+  );
+
+  assert.deepStrictEqual(entries.map((entry) => entry.name).sort(), [
+    "BepInEx/plugins/App.dll",
+    "BepInEx/plugins/Sub/Extra.dll",
+    "Mods/Maps/maps/one.map",
+    "README.md",
+  ]);
+});
+
+test("layout rejects mappings it cannot place safely", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, { "a.txt": "a", "b.txt": "b" });
+  const resolve = (mapping) =>
+    new FilePacker().resolveEntries([], [], [mapping]);
+
+  assert.throws(
+    () => resolve({ from: path.join(dir, "a.txt") }),
+    /layout\[0\] needs a "to" folder/
+  );
+  assert.throws(
+    () => resolve({ from: path.join(dir, "a.txt"), to: "../outside" }),
+    /layout\[0\]\.to must be a relative path/
+  );
+  assert.throws(
+    () => resolve({ from: path.join(dir, "*.png"), to: "" }),
+    /layout\[0\]\.from matched no files/
+  );
+  assert.throws(
+    () => resolve({ from: path.join(dir, "*.txt"), to: "", rename: "c.txt" }),
+    /needs "from" to match a single file, but it matched 2/
+  );
+  assert.throws(
+    () => resolve({ from: path.join(dir, "a.txt"), to: "", rename: "x/c.txt" }),
+    /rename must be a plain file name/
+  );
+  assert.throws(
+    () =>
+      new FilePacker().resolveEntries(
+        [],
+        [],
+        [
+          { from: path.join(dir, "a.txt"), to: "docs", rename: "Notes.txt" },
+          { from: path.join(dir, "b.txt"), to: "Docs", rename: "notes.txt" },
+        ]
+      ),
+    /Several files map to the same destination/
+  );
+});
+
+test("include, exclude and .packignore decide which folder files are packed", (t) => {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), {
+    "App.dll": "app",
+    "App.pdb": "pdb",
+    "config.json": "{}",
+    "notes.txt": "notes",
+    "bin/Debug/Debug.dll": "debug",
+    "logs/.packignore": "*.log\n!keep.log\n",
+    "logs/old.log": "old",
+    "logs/keep.log": "keep",
+    "logs/sub/deep.log": "deep",
+  });
+  const names = (config) =>
+    new FilePacker(config)
+      .resolveEntries([], [source])
+      .map((entry) => entry.name)
+      .sort();
+
+  assert.deepStrictEqual(names({}), [
+    "app/App.dll",
+    "app/App.pdb",
+    "app/bin/Debug/Debug.dll",
+    "app/config.json",
+    "app/logs/keep.log",
+    "app/notes.txt",
+  ]);
+  // Patterns without a slash match at any depth, folders prune their files
+  assert.deepStrictEqual(
+    names({ include: ["*.dll", "*.json"], exclude: ["bin/Debug"] }),
+    ["app/App.dll", "app/config.json"]
+  );
+  assert.deepStrictEqual(names({ exclude: ["*.pdb", "*.txt", "**/*.log"] }), [
+    "app/App.dll",
+    "app/bin/Debug/Debug.dll",
+    "app/config.json",
+  ]);
+  assert.throws(
+    () => names({ include: "*.dll" }),
+    /include must be an array of glob patterns/
+  );
+});
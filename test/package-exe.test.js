@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const ExecutablePackager = require("../scripts/package-exe");
+const { makeTempDir, writeTree, quietly } = require("./helpers");
+
+test("getPkgOutputPaths uses the output as is for one target", () => {
+  const packager = new ExecutablePackager();
+
+  assert.deepStrictEqual(
+    packager.getPkgOutputPaths("dist/App-1.0.0", ["node18-win-x64"]),
+    ["dist/App-1.0.0.exe"]
+  );
+  assert.deepStrictEqual(
+    packager.getPkgOutputPaths("dist/App-1.0.0.exe", ["node18-win-x64"]),
+    ["dist/App-1.0.0.exe"]
+  );
+  assert.deepStrictEqual(
+    packager.getPkgOutputPaths("dist/App-1.0.0", ["node18-linux-x64"]),
+    ["dist/App-1.0.0"]
+  );
+});
+
+test("getPkgOutputPaths adds the target parts that differ", () => {
+  const packager = new ExecutablePackager();
+
+  assert.deepStrictEqual(
+    packager.getPkgOutputPaths("dist/App", [
+      "node18-win-x64",
+      "node18-linux-x64",
+      "node18-macos-x64",
+    ]),
+    ["dist/App-win.exe", "dist/App-linux", "dist/App-macos"]
+  );
+  assert.deepStrictEqual(
+    packager.getPkgOutputPaths("dist/App", [
+      "node18-windows-x64",
+      "node18-win-arm64",
+    ]),
+    ["dist/App-x64.exe", "dist/App-arm64.exe"]
+  );
+});
+
+test("getPyInstallerOutputPath points at the built executable", () => {
+  const packager = new ExecutablePackager();
+  const extension = process.platform === "win32" ? ".exe" : "";
+
+  assert.strictEqual(
+    packager.getPyInstallerOutputPath("dist", "App", true),
+    path.join("dist", `App${extension}`)
+  );
+  assert.strictEqual(
+    packager.getPyInstallerOutputPath("dist", "App", false),
+    path.join("dist", "App", `App${extension}`)
+  );
+});
+
+test("getWrittenOutputs ignores other files in the output folder", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, { "App-win.exe": "new", "App-win-old.exe": "stale" });
+  fs.mkdirSync(path.join(dir, "App-linux"));
+  const packager = new ExecutablePackager({ outputDir: dir });
+
+  const outputs = packager.getWrittenOutputs(
+    packager.getPkgOutputPaths(path.join(dir, "App"), [
+      "node18-win-x64",
+      "node18-linux-x64",
+    ])
+  );
+
+  assert.deepStrictEqual(outputs, [path.join(dir, "App-win.exe")]);
+});
+
+test("the build report only asks known tools for their version", async (t) => {
+  const dir = makeTempDir(t);
+  const packager = new ExecutablePackager({ outputDir: dir });
+  packager.packageTypes.web = async () => [];
+
+  await quietly(() => packager.package("web"));
+
+  const report = JSON.parse(
+    fs.readFileSync(path.join(dir, "build-report.json"), "utf8")
+  );
+  assert.deepStrictEqual(Object.keys(report.tools), ["node"]);
+});
@@ -0,0 +1,174 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const FilePacker = require("../scripts/pack-files");
+const runtime = require("../scripts/extractor/runtime");
+const { makeTempDir, writeTree, quietly } = require("./helpers");
+
+/**
+ * Configure the runtime the way a packed installer would
+ */
+function configureRuntime(config = {}) {
+  const packer = new FilePacker({ appName: "Test App", ...config });
+  runtime.configure(packer.getExtractorSettings("package_archive.zip"));
+  return packer;
+}
+
+test("parseArgs reads flags with separate and inline values", () => {
+  assert.deepStrictEqual(
+    runtime.parseArgs(["--target", "C:\\Games", "--silent", "--no-wait"]),
+    { silent: true, noWait: true, overwrite: null, target: "C:\\Games" }
+  );
+  assert.deepStrictEqual(runtime.parseArgs(["--overwrite=never", "--verify"]), {
+    silent: false,
+    noWait: false,
+    overwrite: "never",
+    verify: true,
+  });
+  assert.strictEqual(
+    runtime.parseArgs(["--uninstall", "/opt/app"]).uninstall,
+    "/opt/app"
+  );
+});
+
+test("parseArgs rejects unknown options, bad modes and missing values", () => {
+  assert.throws(() => runtime.parseArgs(["--force"]), /Unknown option/);
+  assert.throws(
+    () => runtime.parseArgs(["--overwrite", "sometimes"]),
+    /Invalid --overwrite mode/
+  );
+  assert.throws(
+    () => runtime.parseArgs(["--target", "--silent"]),
+    /requires a value/
+  );
+});
+
+test("getInstallChange compares the installed version", () => {
+  configureRuntime({ version: "1.2.0" });
+
+  assert.deepStrictEqual(runtime.getInstallChange(null), { kind: "install" });
+  assert.strictEqual(
+    runtime.getInstallChange({ version: "1.1.0" }).kind,
+    "upgrade"
+  );
+  assert.strictEqual(
+    runtime.getInstallChange({ version: "1.3.0" }).kind,
+    "downgrade"
+  );
+  assert.strictEqual(
+    runtime.getInstallChange({ version: "1.2.0" }).kind,
+    "reinstall"
+  );
+  assert.strictEqual(
+    runtime.getInstallChange({ version: "nightly" }).kind,
+    "change"
+  );
+  assert.strictEqual(
+    runtime.getInstallChange({ version: "1.0.0", packageId: "other" })
+      .otherPackage,
+    "other"
+  );
+});
+
+test("expandPath expands ~ and %VAR%", () => {
+  process.env.EXE_PACKAGER_TEST_ROOT = "/srv/games";
+  try {
+    assert.strictEqual(runtime.expandPath("~/mods"), `${os.homedir()}/mods`);
+    assert.strictEqual(
+      runtime.expandPath("%EXE_PACKAGER_TEST_ROOT%/mods"),
+      "/srv/games/mods"
+    );
+    assert.strictEqual(runtime.expandPath("%UNSET_VAR_X%"), "%UNSET_VAR_X%");
+  } finally {
+    delete process.env.EXE_PACKAGER_TEST_ROOT;
+  }
+});
+
+test("validateInstallDir accepts new folders and rejects files", (t) => {
+  const dir = makeTempDir(t);
+  const file = path.join(dir, "file.txt");
+  fs.writeFileSync(file, "");
+
+  assert.strictEqual(
+    runtime.validateInstallDir(path.join(dir, "a", "b")),
+    null
+  );
+  assert.match(
+    runtime.validateInstallDir(path.join(file, "sub")),
+    /is a file, not a folder/
+  );
+});
+
+/**
+ * A file with just the VS_FIXEDFILEINFO block a DLL's version resource holds
+ */
+function fakeVersionedFile(major, minor, patch) {
+  const info = Buffer.alloc(64);
+  Buffer.from([0xbd, 0x04, 0xef, 0xfe]).copy(info, 16);
+  info.writeUInt16LE(minor, 24);
+  info.writeUInt16LE(major, 26);
+  info.writeUInt16LE(patch, 30);
+  return info;
+}
+
+test("checkRequirements compares installed versions with the ranges", async (t) => {
+  const dir = makeTempDir(t);
+  const game = writeTree(path.join(dir, "game"), {
+    ".installer/core.install.json": JSON.stringify({
+      packageId: "core-lib",
+      appName: "Core Lib",
+      version: "2.1.0",
+    }),
+    "BepInEx/core/BepInEx.dll": fakeVersionedFile(5, 4, 21),
+    "Loader/loader.txt": "not a binary",
+  });
+  const target = path.join(game, "Mods", "Test");
+  const check = async (requires) => {
+    configureRuntime({ version: "1.0.0", requires });
+    return quietly(() => runtime.checkRequirements(target));
+  };
+
+  // Records in the folders above the target count, matched by id or name
+  assert.deepStrictEqual(await check({ "core-lib": ">=2.0.0" }), []);
+  assert.deepStrictEqual(await check({ "Core Lib": "^2.1" }), []);
+  assert.deepStrictEqual(await check({ "core-lib": ">=3.0.0" }), [
+    "core-lib >=3.0.0 (2.1.0 is installed)",
+  ]);
+  assert.deepStrictEqual(await check({ "other-lib": "*" }), [
+    "other-lib * (not found)",
+  ]);
+
+  // Known packages and configured files are read from the version resource
+  assert.deepStrictEqual(await check({ BepInEx: "5.4.x" }), []);
+  assert.deepStrictEqual(await check({ BepInEx: ">=6.0.0" }), [
+    "BepInEx >=6.0.0 (5.4.21 is installed)",
+  ]);
+  assert.deepStrictEqual(
+    await check({ Loader: { range: "*", file: "Loader" } }),
+    []
+  );
+  assert.deepStrictEqual(
+    await check({ Loader: { range: ">=1.0.0", file: "Loader/loader.txt" } }),
+    [`Loader >=1.0.0 (found in ${game}, version unknown)`]
+  );
+});
+
+test("getRequirements rejects bad ranges and files outside the game", () => {
+  assert.throws(
+    () => configureRuntime({ requires: { "core-lib": "newest" } }),
+    /requires\.core-lib has an invalid version range: newest/
+  );
+  assert.throws(
+    () =>
+      configureRuntime({
+        requires: { Loader: { range: "*", file: "../Loader.dll" } },
+      }),
+    /requires\.Loader\.file must be a relative path/
+  );
+  assert.throws(
+    () => configureRuntime({ requires: ["core-lib"] }),
+    /requires must map package names to version ranges/
+  );
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const signing = require("../scripts/lib/signing");
+const { makeTempDir, writeTree } = require("./helpers");
+
+/**
+ * A signing command that runs a Node script on the file
+ */
+function nodeCommand(script) {
+  return `"${process.execPath}" "${script}" {file}`;
+}
+
+test("getSigningSettings is off without a signing section", () => {
+  assert.strictEqual(signing.getSigningSettings({ appName: "App" }), null);
+  assert.strictEqual(
+    signing.getSigningSettings({ signing: { enabled: false } }),
+    null
+  );
+});
+
+test("getSigningSettings rejects passwords, unknown signers and missing files", (t) => {
+  const dir = makeTempDir(t);
+
+  assert.throws(
+    () => signing.getSigningSettings({ signing: { password: "secret" } }),
+    /signing\.password is not read from config files, set SIGNING_PASSWORD/
+  );
+  assert.throws(
+    () => signing.getSigningSettings({ signing: { signer: "signtool" } }),
+    /Unknown signing\.signer "signtool"/
+  );
+  assert.throws(
+    () =>
+      signing.getSigningSettings({
+        signing: { certificatePath: path.join(dir, "missing.pfx") },
+      }),
+    /signing\.certificatePath not found/
+  );
+});
+
+test("getSigningSettings reads the password and falls back to digitalSign", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, { "password.txt": "file secret\n" });
+  const passwordFile = path.join(dir, "password.txt");
+
+  const fromFile = signing.getSigningSettings({
+    appName: "App",
+    signing: { signer: "command", command: "sign {file}", passwordFile },
+  });
+  assert.strictEqual(fromFile.password, "file secret");
+  assert.strictEqual(fromFile.description, "App");
+  assert.strictEqual(fromFile.timestampUrl, "http://timestamp.digicert.com");
+
+  process.env.EXE_PACKAGER_TEST_PASSWORD = "env secret";
+  try {
+    const legacy = signing.getSigningSettings({
+      branding: {
+        digitalSign: {
+          signer: "command",
+          command: "sign {file}",
+          passwordEnv: "EXE_PACKAGER_TEST_PASSWORD",
+          timestampUrl: "",
+        },
+      },
+    });
+    assert.strictEqual(legacy.password, "env secret");
+    assert.strictEqual(legacy.timestampUrl, null);
+  } finally {
+    delete process.env.EXE_PACKAGER_TEST_PASSWORD;
+  }
+});
+
+test("the command signer signs, passes the password and verifies", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, {
+    "app.exe": "binary",
+    "sign.js":
+      "require('fs').appendFileSync(process.argv[2], ' signed with ' + process.env.SIGNING_PASSWORD);\n",
+    "verify.js":
+      "process.exit(require('fs').readFileSync(process.argv[2], 'utf8').includes('signed') ? 0 : 1);\n",
+  });
+  const exe = path.join(dir, "app.exe");
+  const signer = signing.createSigner({
+    signer: "command",
+    command: nodeCommand(path.join(dir, "sign.js")),
+    verifyCommand: nodeCommand(path.join(dir, "verify.js")),
+    password: "secret",
+    verify: true,
+  });
+
+  signing.signFile(signer, exe);
+
+  assert.strictEqual(fs.readFileSync(exe, "utf8"), "binary signed with secret");
+});
+
+test("the command signer fails when the signature check fails", (t) => {
+  const dir = makeTempDir(t);
+  writeTree(dir, {
+    "app.exe": "binary",
+    "noop.js": "",
+    "reject.js": "console.error('no signature found'); process.exit(1);\n",
+  });
+  const settings = {
+    signer: "command",
+    command: nodeCommand(path.join(dir, "noop.js")),
+    verifyCommand: nodeCommand(path.join(dir, "reject.js")),
+    verify: true,
+  };
+
+  assert.throws(
+    () =>
+      signing.signFile(
+        signing.createSigner(settings),
+        path.join(dir, "app.exe")
+      ),
+    /Signature check failed for app\.exe: no signature found/
+  );
+  assert.doesNotThrow(() =>
+    signing.signFile(
+      signing.createSigner({ ...settings, verify: false }),
+      path.join(dir, "app.exe")
+    )
+  );
+  assert.throws(
+    () => signing.createSigner({ signer: "command" }),
+    /signing\.command is required/
+  );
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { EXIT_CODES } = require("../scripts/extractor/runtime");
+const {
+  makeTempDir,
+  writeTree,
+  readTree,
+  buildInstaller,
+  runInstaller,
+} = require("./helpers");
+
+const BASE_FILES = {
+  "main.txt": "main 1.0",
+  "old/unused.txt": "unused",
+  "settings.cfg": "defaults",
+};
+
+/**
+ * Install 1.0.0 of a package, then build the 1.1.0 update that drops
+ * old/unused.txt and settings.cfg
+ */
+async function setUpUpdate(t, config = {}) {
+  const dir = makeTempDir(t);
+  const source = writeTree(path.join(dir, "app"), BASE_FILES);
+  const baseDir = path.join(dir, "base");
+  fs.mkdirSync(baseDir);
+  const base = await buildInstaller(
+    baseDir,
+    { appName: "Test App", version: "1.0.0", ...config },
+    { folders: [source] }
+  );
+  const target = path.join(dir, "install");
+  const installed = runInstaller(base, ["--target", target]);
+  assert.strictEqual(installed.status, EXIT_CODES.SUCCESS, installed.stdout);
+
+  fs.writeFileSync(path.join(source, "main.txt"), "main 1.1");
+  fs.rmSync(path.join(source, "old"), { recursive: true });
+  fs.rmSync(path.join(source, "settings.cfg"));
+  const updateDir = path.join(dir, "update");
+  fs.mkdirSync(updateDir);
+  const update = await buildInstaller(
+    updateDir,
+    { appName: "Test App", version: "1.1.0", ...config },
+    { folders: [source], from: base.archivePath }
+  );
+  return { dir, target, update };
+}
+
+test("an update removes deleted files and prunes their folders", async (t) => {
+  const { target, update } = await setUpUpdate(t);
+
+  const result = runInstaller(update, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  const files = readTree(target);
+  assert.strictEqual(files["app/main.txt"], "main 1.1");
+  assert.strictEqual(files["app/settings.cfg"], undefined);
+  assert.strictEqual(fs.existsSync(path.join(target, "app", "old")), false);
+});
+
+test("an update keeps deleted files the user changed", async (t) => {
+  const { target, update } = await setUpUpdate(t);
+  fs.writeFileSync(path.join(target, "app", "settings.cfg"), "mine");
+
+  const result = runInstaller(update, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  assert.strictEqual(readTree(target)["app/settings.cfg"], "mine");
+
+  // No longer part of the package, so uninstall leaves it alone
+  runInstaller(update, ["--uninstall", "--target", target]);
+  assert.deepStrictEqual(readTree(target), { "app/settings.cfg": "mine" });
+});
+
+test("an update backs up changed deleted files under the backup policy", async (t) => {
+  const { target, update } = await setUpUpdate(t, {
+    conflicts: { rules: [{ match: "*.cfg", policy: "backup" }] },
+  });
+  fs.writeFileSync(path.join(target, "app", "settings.cfg"), "mine");
+
+  const result = runInstaller(update, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.SUCCESS, result.stdout);
+  const files = readTree(target);
+  assert.strictEqual(files["app/settings.cfg"], undefined);
+  assert.strictEqual(files["app/settings.cfg.bak"], "mine");
+});
+
+test("a refused update leaves no folder behind", async (t) => {
+  const { dir, update } = await setUpUpdate(t);
+  const target = path.join(dir, "elsewhere", "install");
+
+  const result = runInstaller(update, ["--target", target]);
+
+  assert.strictEqual(result.status, EXIT_CODES.BASE_MISMATCH, result.stdout);
+  assert.strictEqual(fs.existsSync(path.join(dir, "elsewhere")), false);
+});